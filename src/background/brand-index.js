@@ -0,0 +1,535 @@
+/**
+ * brand-index.js - Loads and owns the index of supported brands for the whole extension.
+ *
+ * Loaded into the background service worker with importScripts(). The `BrandList.csv`
+ * file is parsed once and the parsed brands are cached in `chrome.storage.local`, so a
+ * restarted service worker rebuilds its index without fetching and parsing the CSV again.
+ * Content scripts never load the list themselves: they send their candidates to the
+ * service worker in a `LOOKUP_BRANDS` message (see lookupBrands()).
+ *
+ * The index is a quickly-searchable Map of supported brands, plus an alias Map so that
+ * many surface forms of a name resolve to one canonical brand (see resolveBrand()), and
+ * a token trie over every brand name and alias, used to find brands mentioned in free
+ * text such as the product title in a single pass (see buildBrandMatcher()).
+ *
+ * CSV columns (only `brand_name` is required; rows may omit trailing columns):
+ * - brand_name: The brand name as displayed to the user.
+ * - cashback:   The brand's "up to" cashback percentage. Defaults to CONFIG.DEFAULT_CASHBACK.
+ * - aliases:    Other names the brand is known by, separated by "|".
+ * - category:   A free-form category, e.g. "Apparel".
+ * - slug:       The brand's ChaChing deep-link slug. Defaults to a slug of the name.
+ *
+ * This asynchronous loading ensures that the brand list can be updated easily
+ * by modifying the CSV file without needing to redeploy the entire extension.
+ * The cache is cleared whenever the extension is installed or updated (including a
+ * reload of the unpacked extension), so edits to the CSV are picked up. Newer lists can
+ * also arrive between releases through the data update channel (see data-updates.js).
+ *
+ * @module brand-index
+ */
+
+/**
+ * Matches a trailing company-form suffix such as ", Inc.", " & Co." or " LLC".
+ * @const {RegExp}
+ */
+const CORPORATE_SUFFIX_PATTERN = /[\s,]+(?:(?:&|and)\s+)?(?:co|company|inc|incorporated|corp|corporation|llc|ltd|limited|plc|gmbh)\.?$/i;
+
+/**
+ * Single-token brand names this short ("ON", "AKG") are matched in free text only when
+ * written as the registry spells them or next to a brand cue (see buildBrandMatcher()).
+ * @const {number}
+ */
+const SHORT_BRAND_LENGTH = 3;
+
+/**
+ * Everyday words that are also single-token brand names ("Blue", "Depot", "Essentials").
+ * Like short names, they are matched in free text only when written as the registry
+ * spells them or next to a brand cue. Lowercase, as tokenizeBrandText() returns them.
+ * @const {Set<string>}
+ */
+const COMMON_WORDS = new Set(`
+  a an the and or of on in at by for to with from up out off over under new old best top
+  hot big small mini max pro plus one two all more most free sale deal deals shop store
+  home kids men women mens womens girls boys baby unisex adult size color colour black
+  white blue red green yellow pink purple orange brown grey gray gold silver navy beige
+  cream clear dark light bright natural classic original essential essentials basic
+  basics everyday daily active sport sports outdoor outdoors indoor travel urban modern
+  vintage retro luxury premium select simple pure fresh true real good great fine wild
+  bold soft hard warm cool cold sun moon star stars sky sea ocean river stone rock wood
+  iron steel glass paper cotton linen wool silk leather denim velvet lace canvas rubber
+  metal plastic shoe shoes boot boots sock socks shirt shirts tee tops dress dresses
+  skirt pants jeans jacket coat coats hat hats cap bag bags belt watch ring rings bed
+  bath kitchen garden office gift gifts line lines nation voice cash tag balm depot
+  supply supplies outlet market goods collection studio house company brand label made
+  life love happy lucky joy peace spirit soul heart mind body skin hair face hand foot
+  care beauty health fitness yoga run running walk trail camp fish golf tennis ski surf
+  bike ride city country village park street road way path field forest mountain island
+  beach lake bay point north south east west central general standard national royal
+  king queen prince princess lady boss chief captain master pack box kit set case cover
+  stand frame lamp table chair desk sofa rug mat towel pillow blanket basket bottle cup
+  mug plate bowl pan pot knife tool tools parts part piece pieces edge core zone base
+  peak summit element elements form shape style fashion design designs works craft
+  crafts art arts music sound audio video tech smart digital electric power energy
+  charge wave flow motion speed fast quick easy comfort cozy nest hive bee bear wolf fox
+  lion tiger eagle hawk owl dog cat horse bird duck rabbit mouse
+`.trim().split(/\s+/));
+
+/**
+ * Text just before a brand name that marks it as one: "by Blue", "from Depot", "Brand: ON".
+ * @const {RegExp}
+ */
+const BRAND_CUE_BEFORE_PATTERN = /(?:\bby|\bfrom|\bbrand\s*:?)\s*$/i;
+
+/**
+ * Text just after a brand name that marks it as one: "Blue®", "ON™".
+ * @const {RegExp}
+ */
+const BRAND_CUE_AFTER_PATTERN = /^\s*[®™]/;
+
+/**
+ * The `chrome.storage.local` key holding the parsed brand list.
+ * @const {string}
+ */
+const BRAND_CACHE_KEY = 'brandListCache';
+
+/**
+ * The brand index once it has been built, shared by every lookup until the service
+ * worker is shut down. See getBrandIndex().
+ * @type {Promise<{brandsMap: Map<string, Object>, aliasMap: Map<string, Object>, matcher: Object}>|null}
+ */
+let brandIndexPromise = null;
+
+/**
+ * Parses CSV text into rows of fields. Supports quoted fields containing commas,
+ * escaped quotes ("") and both LF and CRLF line endings.
+ *
+ * @param {string} csvText - The raw CSV file contents.
+ * @returns {string[][]} One array of field values per non-empty line.
+ */
+function parseCsv(csvText) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+
+    if (inQuotes) {
+      if (char === '"' && csvText[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csvText[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // The last line may not end with a newline.
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Builds a URL-safe slug from a brand name, e.g. "Levi's Premium" -> "levis-premium".
+ *
+ * @param {string} name - The brand name.
+ * @returns {string} The slug.
+ */
+function toBrandSlug(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents left over by NFKD.
+    .replace(/['’®™©]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Converts parsed CSV rows into brand objects, filling in defaults for optional columns.
+ *
+ * @param {string[][]} rows - Parsed CSV rows, including the header row.
+ * @returns {Object[]} Brand objects with `name`, `cashback`, `aliases`, `category` and `slug`.
+ */
+function parseBrandRows(rows) {
+  const [header = [], ...dataRows] = rows;
+  const columns = header.map(column => column.trim().toLowerCase());
+  const column = (fields, name) => {
+    const index = columns.indexOf(name);
+    return index === -1 ? '' : (fields[index] || '').trim();
+  };
+
+  const brands = [];
+  for (const fields of dataRows) {
+    const name = column(fields, 'brand_name');
+    if (!name) continue;
+
+    const cashback = parseFloat(column(fields, 'cashback'));
+
+    brands.push({
+      name,
+      cashback: Number.isFinite(cashback) ? cashback : ChachingUtils.CONFIG.DEFAULT_CASHBACK,
+      aliases: column(fields, 'aliases').split('|').map(alias => alias.trim()).filter(Boolean),
+      category: column(fields, 'category') || null,
+      slug: column(fields, 'slug') || toBrandSlug(name)
+    });
+  }
+
+  return brands;
+}
+
+/**
+ * Reduces a brand name to its core form so that common synonyms compare equal:
+ * a leading "The" and trailing company suffixes are dropped, and "and" is treated as "&".
+ * e.g. "The North Face" -> "North Face", "Levi Strauss & Co." -> "Levi Strauss".
+ *
+ * @param {string} name - A brand name or a brand candidate found on the page.
+ * @returns {string} The core brand name.
+ */
+function toCoreBrandName(name) {
+  let core = name.trim().replace(/^the\s+/i, '');
+
+  while (CORPORATE_SUFFIX_PATTERN.test(core)) {
+    core = core.replace(CORPORATE_SUFFIX_PATTERN, '');
+  }
+
+  return core.replace(/\s+and\s+/gi, ' & ').trim();
+}
+
+/**
+ * Builds the canonical brand Map and the alias Map from the parsed brand objects.
+ *
+ * - Rows whose names normalize to the same key ("Levi's", "levi's") are one brand:
+ *   the last row is displayed, and aliases from every row are kept.
+ * - Explicit aliases from the CSV always win over generated synonyms.
+ * - A synonym generated by toCoreBrandName() is dropped if it is another brand's
+ *   canonical name or if two brands would share it, to avoid false matches.
+ *
+ * @param {Object[]} brands - Brand objects from parseBrandRows().
+ * @returns {{brandsMap: Map<string, Object>, aliasMap: Map<string, {key: string, alias: string, generated: boolean}>}}
+ */
+function buildBrandIndex(brands) {
+  const brandsMap = new Map();
+  for (const brand of brands) {
+    const key = normalizeBrand(brand.name);
+    if (!key) continue;
+
+    const existing = brandsMap.get(key);
+    const aliases = existing ? [...new Set([...existing.aliases, ...brand.aliases])] : brand.aliases;
+    brandsMap.set(key, { ...brand, aliases });
+  }
+
+  const aliasMap = new Map();
+  const ambiguous = new Set();
+
+  // Generated synonyms first, so explicit aliases below can overwrite them.
+  for (const [key, brand] of brandsMap) {
+    const core = toCoreBrandName(brand.name);
+    const coreKey = normalizeBrand(core);
+    if (!coreKey || coreKey === key || brandsMap.has(coreKey) || ambiguous.has(coreKey)) continue;
+
+    if (aliasMap.has(coreKey) && aliasMap.get(coreKey).key !== key) {
+      aliasMap.delete(coreKey);
+      ambiguous.add(coreKey);
+      continue;
+    }
+
+    aliasMap.set(coreKey, { key, alias: core, generated: true });
+  }
+
+  for (const [key, brand] of brandsMap) {
+    for (const alias of brand.aliases) {
+      const aliasKey = normalizeBrand(alias);
+      if (aliasKey && aliasKey !== key && !brandsMap.has(aliasKey)) {
+        aliasMap.set(aliasKey, { key, alias, generated: false });
+      }
+    }
+  }
+
+  return { brandsMap, aliasMap };
+}
+
+/**
+ * Resolves a brand candidate found on the page to one of our supported brands, trying
+ * in order: the canonical name, an alias, then the candidate's core form (see
+ * toCoreBrandName()) as a canonical name or alias.
+ *
+ * Generated synonyms and the core form are only tried with `allowSynonyms`, for text the
+ * page labels as the brand. Like the matcher (see buildBrandMatcher()), they would
+ * otherwise turn everyday words from breadcrumbs or the site name into brands: "Men's"
+ * into "The Men's", "Office" into "The Office".
+ *
+ * @param {Object} index - The brand index from getBrandIndex().
+ * @param {string} candidate - A possible brand name, e.g. "Levi Strauss & Co.".
+ * @param {Object} [options]
+ * @param {boolean} [options.allowSynonyms=false] - Whether the candidate may match a
+ *   generated synonym or resolve through its own core form.
+ * @returns {{key: string, brand: Object, matchedAlias: string|null}|null} The canonical brand key,
+ *   the brand object and the alias that matched (null for a direct match), or null if unsupported.
+ */
+function resolveBrand(index, candidate, { allowSynonyms = false } = {}) {
+  if (!candidate || typeof candidate !== 'string') return null;
+
+  const candidateKey = normalizeBrand(candidate);
+  const lookupKeys = allowSynonyms ? [candidateKey, normalizeBrand(toCoreBrandName(candidate))] : [candidateKey];
+
+  for (const lookupKey of new Set(lookupKeys)) {
+    if (!lookupKey) continue;
+
+    if (index.brandsMap.has(lookupKey)) {
+      return {
+        key: lookupKey,
+        brand: index.brandsMap.get(lookupKey),
+        matchedAlias: lookupKey === candidateKey ? null : candidate.trim()
+      };
+    }
+
+    const aliasEntry = index.aliasMap.get(lookupKey);
+    if (aliasEntry && (allowSynonyms || !aliasEntry.generated)) {
+      return {
+        key: aliasEntry.key,
+        brand: index.brandsMap.get(aliasEntry.key),
+        matchedAlias: aliasEntry.alias
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits text into lowercase word tokens for brand matching, remembering where each
+ * token sits in the original string. Apostrophes inside a word are dropped
+ * ("Levi's" -> "levis"); every other non-letter, non-digit character separates words
+ * ("H&M" -> "h", "m"). Works for any script, not just ASCII.
+ *
+ * @param {string} text - The text to tokenize.
+ * @returns {{token: string, start: number, end: number}[]} The tokens and their offsets in `text`.
+ */
+function tokenizeBrandText(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)) {
+    tokens.push({
+      token: match[0].toLowerCase().replace(/['’]/g, ''),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Builds a token trie over every brand name and alias, so that all brands mentioned in
+ * a piece of text can be found in one left-to-right pass, on whole-word boundaries,
+ * including multi-word brands such as "The North Face". Generated synonyms are left out:
+ * stripping "The" from names like "The Men's" leaves everyday words that show up in
+ * countless titles, so only canonical names and explicit aliases are matched in text.
+ *
+ * Matching ignores case, except for single-token names that are short or everyday words
+ * (see SHORT_BRAND_LENGTH and COMMON_WORDS): "on sale" or "blue depot" mention no brand.
+ * Those match only when written exactly as a registry name or alias spells them ("ON"),
+ * or next to a brand cue ("by Blue", "Brand: Depot", "Blue®").
+ *
+ * @param {Map<string, Object>} brandsMap - Canonical brands from buildBrandIndex().
+ * @param {Map<string, {key: string, alias: string, generated: boolean}>} aliasMap - Aliases from buildBrandIndex().
+ * @returns {{findAll: function(string): {value: string, text: string}[]}} The matcher. `findAll()`
+ *   returns, for each match, the registry name or alias that matched (`value`, which
+ *   resolveBrand() accepts) and the matched text exactly as written (`text`).
+ */
+function buildBrandMatcher(brandsMap, aliasMap) {
+  const root = { children: new Map(), value: null, spellings: null };
+
+  const insert = (name) => {
+    const tokens = tokenizeBrandText(name);
+    if (tokens.length === 0) return;
+
+    let node = root;
+    for (const { token } of tokens) {
+      if (!node.children.has(token)) {
+        node.children.set(token, { children: new Map(), value: null, spellings: null });
+      }
+      node = node.children.get(token);
+    }
+    // Keep the first name inserted for a token sequence (canonical names go first).
+    if (node.value === null) node.value = name;
+
+    // Ambiguous names remember every spelling that was inserted, for the case check.
+    const [{ token }] = tokens;
+    if (tokens.length === 1 && (token.length <= SHORT_BRAND_LENGTH || COMMON_WORDS.has(token))) {
+      node.spellings = node.spellings || new Set();
+      node.spellings.add(name.trim().replace(/’/g, "'"));
+    }
+  };
+
+  // Whether an ambiguous name found at `start`..`end` in `text` is really a brand.
+  const isBrandMention = (node, text, start, end) =>
+    node.spellings.has(text.slice(start, end).replace(/’/g, "'")) ||
+    BRAND_CUE_BEFORE_PATTERN.test(text.slice(0, start)) ||
+    BRAND_CUE_AFTER_PATTERN.test(text.slice(end));
+
+  for (const brand of brandsMap.values()) insert(brand.name);
+  for (const { alias, generated } of aliasMap.values()) {
+    if (!generated) insert(alias);
+  }
+
+  const findAll = (text) => {
+    if (!text || typeof text !== 'string') return [];
+
+    const tokens = tokenizeBrandText(text);
+    const matches = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      // Walk the trie from token i, remembering the longest complete name seen.
+      let node = root;
+      let longest = null;
+      for (let j = i; j < tokens.length; j++) {
+        node = node.children.get(tokens[j].token);
+        if (!node) break;
+        if (node.value === null) continue;
+        if (node.spellings && !isBrandMention(node, text, tokens[i].start, tokens[j].end)) continue;
+        longest = { value: node.value, endIndex: j };
+      }
+
+      if (longest) {
+        matches.push({
+          value: longest.value,
+          text: text.slice(tokens[i].start, tokens[longest.endIndex].end)
+        });
+        i = longest.endIndex + 1; // Matches don't overlap.
+      } else {
+        i++;
+      }
+    }
+
+    return matches;
+  };
+
+  return { findAll };
+}
+
+/**
+ * Loads the parsed brand list: the last good remote update if there is one (see
+ * data-updates.js), otherwise the bundled `BrandList.csv`. The bundled list is read from
+ * the `chrome.storage.local` cache when it was written by this version of the extension,
+ * otherwise it is fetched, parsed and cached.
+ *
+ * @returns {Promise<Object[]>} Brand objects as returned by parseBrandRows().
+ */
+async function loadBrandList() {
+  const remote = await getRemoteData();
+  if (Array.isArray(remote?.brands) && remote.brands.length > 0) {
+    ChachingUtils.log('info', 'Brands', `Using the brand list from data update version ${remote.version}.`);
+    return remote.brands;
+  }
+
+  const version = chrome.runtime.getManifest().version;
+  const { [BRAND_CACHE_KEY]: cache } = await chrome.storage.local.get(BRAND_CACHE_KEY);
+
+  if (cache?.version === version && Array.isArray(cache.brands)) {
+    return cache.brands;
+  }
+
+  const response = await fetch(chrome.runtime.getURL('src/assets/BrandList.csv'));
+  if (!response.ok) {
+    throw new Error(`BrandList.csv request failed with status ${response.status}`);
+  }
+
+  const brands = parseBrandRows(parseCsv(await response.text()));
+  await chrome.storage.local.set({ [BRAND_CACHE_KEY]: { version, brands } });
+
+  return brands;
+}
+
+/**
+ * Returns the brand index, building it on first use. A failed load isn't remembered,
+ * so the next lookup tries again.
+ *
+ * @returns {Promise<{brandsMap: Map<string, Object>, aliasMap: Map<string, Object>, matcher: Object}>}
+ *   The canonical brands, their aliases (see buildBrandIndex()) and the text matcher
+ *   (see buildBrandMatcher()).
+ */
+function getBrandIndex() {
+  if (!brandIndexPromise) {
+    brandIndexPromise = loadBrandList()
+      .then((brands) => {
+        const { brandsMap, aliasMap } = buildBrandIndex(brands);
+        // Built once here and reused for every title scan.
+        const matcher = buildBrandMatcher(brandsMap, aliasMap);
+
+        ChachingUtils.log('info', 'Brands', `${brandsMap.size} brands and ${aliasMap.size} aliases loaded successfully.`);
+        return { brandsMap, aliasMap, matcher };
+      })
+      .catch((error) => {
+        brandIndexPromise = null;
+        throw error;
+      });
+  }
+
+  return brandIndexPromise;
+}
+
+/**
+ * Forgets the built brand index, so the next lookup rebuilds it from the current list.
+ */
+function resetBrandIndex() {
+  brandIndexPromise = null;
+}
+
+/**
+ * Answers a content script's `LOOKUP_BRANDS` message: resolves each brand candidate it
+ * found on the page and finds the brands mentioned in a piece of free text (the product
+ * title). Only the fields content scripts display are sent back.
+ *
+ * @param {Object} request - The message data.
+ * @param {{value: string, isBrandField: boolean}[]} [request.candidates=[]] - Possible brand
+ *   names found on the page, and whether the page labels each one as the brand (which lets
+ *   it match generated synonyms, see resolveBrand()).
+ * @param {string} [request.text=''] - Free text to scan for brand names.
+ * @returns {Promise<{resolved: (Object|null)[], textMatches: Object[]}>} `resolved` holds, for
+ *   each candidate in order, its `key`, `brand` and `matchedAlias` (see resolveBrand()) or null.
+ *   `textMatches` holds the same for each brand found in `text`, plus the matched `value`
+ *   and the `text` exactly as written.
+ */
+async function lookupBrands({ candidates = [], text = '' } = {}) {
+  const index = await getBrandIndex();
+
+  const toResult = (match) => match && {
+    key: match.key,
+    brand: {
+      name: match.brand.name,
+      cashback: match.brand.cashback,
+      category: match.brand.category,
+      slug: match.brand.slug
+    },
+    matchedAlias: match.matchedAlias
+  };
+
+  return {
+    resolved: candidates.map(({ value, isBrandField }) =>
+      toResult(resolveBrand(index, value, { allowSynonyms: isBrandField }))),
+    textMatches: index.matcher.findAll(text).map(match => ({
+      ...toResult(resolveBrand(index, match.value)),
+      value: match.value,
+      text: match.text
+    }))
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * data-updates.js - Keeps the brand list, the exclusion list and the merchant registry up
+ * to date between releases.
+ *
+ * Loaded into the background service worker with importScripts(). Periodically (see
+ * DATA_UPDATE_CONFIG) the worker downloads a small versioned manifest describing the
+ * latest data files:
+ *
+ *   {
+ *     "version": 12,
+ *     "files": {
+ *       "brands": { "url": "BrandList-12.csv", "sha256": "<hex digest>" },
+ *       "excludedDomains": { "url": "excluded-domains-12.json", "sha256": "<hex digest>" },
+ *       "merchants": { "url": "merchants-12.json", "sha256": "<hex digest>" }
+ *     }
+ *   }
+ *
+ * File URLs are resolved against the manifest URL, and every file is optional: a file
+ * the manifest leaves out keeps its last verified copy from an earlier update. Every
+ * file must match its SHA-256 checksum and parse cleanly, otherwise the whole update is
+ * rejected and the last good copy (or, if there is none, the bundled file) stays in use.
+ * Good updates are kept in `chrome.storage.local` and dropped when the extension itself
+ * is installed or updated, since a new release ships newer bundled files.
+ *
+ * The endpoint can be pointed at a local HTTP stand-in by storing its manifest URL in
+ * `chrome.storage.local` under `dataUpdateUrl` (see tools/serve-data-updates.js). It must
+ * answer with CORS headers, since the extension has no host permission for it.
+ *
+ * @module data-updates
+ */
+
+/**
+ * Where and how often to look for data updates.
+ * @const {Object}
+ */
+const DATA_UPDATE_CONFIG = {
+  MANIFEST_URL: 'https://chaching.me/extension/data/manifest.json',
+  URL_OVERRIDE_KEY: 'dataUpdateUrl',   // chrome.storage.local key overriding MANIFEST_URL
+  STORAGE_KEY: 'remoteData',           // chrome.storage.local key holding the last good update
+  ALARM_NAME: 'chaching-data-update',
+  CHECK_INTERVAL_MINUTES: 6 * 60
+};
+
+/**
+ * Returns the manifest URL to check: the `dataUpdateUrl` override if one is stored,
+ * otherwise DATA_UPDATE_CONFIG.MANIFEST_URL.
+ *
+ * @returns {Promise<string>} The manifest URL.
+ */
+async function getDataUpdateUrl() {
+  const { [DATA_UPDATE_CONFIG.URL_OVERRIDE_KEY]: override } =
+    await chrome.storage.local.get(DATA_UPDATE_CONFIG.URL_OVERRIDE_KEY);
+  return override || DATA_UPDATE_CONFIG.MANIFEST_URL;
+}
+
+/**
+ * Returns the last good data update, or null if none has been applied.
+ *
+ * @returns {Promise<{version: number, updatedAt: string, brands: Object[]|null, excludedDomains: string[]|null, merchants: Object[]|null}|null>}
+ *   The update. `brands` / `excludedDomains` / `merchants` are null when no update has included that file.
+ */
+async function getRemoteData() {
+  const { [DATA_UPDATE_CONFIG.STORAGE_KEY]: data } = await chrome.storage.local.get(DATA_UPDATE_CONFIG.STORAGE_KEY);
+  return Number.isInteger(data?.version) ? data : null;
+}
+
+/**
+ * Computes the hex-encoded SHA-256 digest of some bytes.
+ *
+ * @param {ArrayBuffer} buffer - The bytes to hash.
+ * @returns {Promise<string>} The lowercase hex digest.
+ */
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Downloads one file listed in the manifest and checks it against its checksum.
+ *
+ * @param {string} manifestUrl - The manifest URL, used to resolve relative file URLs.
+ * @param {{url: string, sha256: string}} entry - The file's manifest entry.
+ * @returns {Promise<string>} The file contents.
+ * @throws {Error} If the download fails or the checksum doesn't match.
+ */
+async function fetchVerifiedFile(manifestUrl, entry) {
+  if (typeof entry?.url !== 'string' || typeof entry?.sha256 !== 'string') {
+    throw new Error('Manifest file entry needs a "url" and a "sha256"');
+  }
+
+  const url = new URL(entry.url, manifestUrl).href;
+  const response = await fetch(url, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`${url} request failed with status ${response.status}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const checksum = await sha256Hex(buffer);
+  if (checksum !== entry.sha256.toLowerCase()) {
+    throw new Error(`Checksum mismatch for ${url}`);
+  }
+
+  return new TextDecoder().decode(buffer);
+}
+
+/**
+ * Checks the update endpoint and applies a newer data version if there is one.
+ * Nothing is stored unless every file in the update downloads, verifies and parses.
+ *
+ * @returns {Promise<boolean>} True if an update was applied.
+ */
+async function checkForDataUpdates() {
+  try {
+    const manifestUrl = await getDataUpdateUrl();
+    const response = await fetch(manifestUrl, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Manifest request failed with status ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    if (!Number.isInteger(manifest?.version) || typeof manifest.files !== 'object' || !manifest.files) {
+      throw new Error('Manifest needs an integer "version" and a "files" object');
+    }
+
+    const current = await getRemoteData();
+    if (current && current.version >= manifest.version) {
+      console.log(`[Background] Data is up to date (version ${current.version}).`);
+      return false;
+    }
+
+    // Files the manifest leaves out keep the copy from an earlier update, if any.
+    let brands = current?.brands ?? null;
+    if (manifest.files.brands) {
+      const csvText = await fetchVerifiedFile(manifestUrl, manifest.files.brands);
+      brands = parseBrandRows(parseCsv(csvText));
+      if (brands.length === 0) throw new Error('The brand list update has no brands');
+    }
+
+    let excludedDomains = current?.excludedDomains ?? null;
+    if (manifest.files.excludedDomains) {
+      const jsonText = await fetchVerifiedFile(manifestUrl, manifest.files.excludedDomains);
+      excludedDomains = JSON.parse(jsonText).excludedDomains;
+      if (!Array.isArray(excludedDomains) || !excludedDomains.every(domain => typeof domain === 'string')) {
+        throw new Error('The exclusion list update needs an "excludedDomains" array of strings');
+      }
+    }
+
+    let merchants = current?.merchants ?? null;
+    if (manifest.files.merchants) {
+      const jsonText = await fetchVerifiedFile(manifestUrl, manifest.files.merchants);
+      merchants = parseMerchants(JSON.parse(jsonText));
+    }
+
+    await chrome.storage.local.set({
+      [DATA_UPDATE_CONFIG.STORAGE_KEY]: {
+        version: manifest.version,
+        updatedAt: new Date().toISOString(),
+        brands,
+        excludedDomains,
+        merchants
+      }
+    });
+
+    // The next lookups rebuild the brand index and merchant registry from the new lists.
+    resetBrandIndex();
+    resetMerchantRegistry();
+
+    console.log(`[Background] Applied data update version ${manifest.version}.`);
+    return true;
+  } catch (error) {
+    console.warn('[Background] Data update skipped; keeping the current data:', error);
+    return false;
+  }
+}
+
+/**
+ * Drops any applied data update, falling back to the bundled files.
+ */
+async function clearRemoteData() {
+  await chrome.storage.local.remove(DATA_UPDATE_CONFIG.STORAGE_KEY);
+  resetBrandIndex();
+  resetMerchantRegistry();
+}
+
+/**
+ * Makes sure the periodic update check is scheduled. Alarms can be lost when the
+ * browser restarts, so this runs on install and on every browser startup.
+ */
+async function scheduleDataUpdates() {
+  const alarm = await chrome.alarms.get(DATA_UPDATE_CONFIG.ALARM_NAME);
+  if (alarm) return;
+
+  chrome.alarms.create(DATA_UPDATE_CONFIG.ALARM_NAME, {
+    delayInMinutes: 1,
+    periodInMinutes: DATA_UPDATE_CONFIG.CHECK_INTERVAL_MINUTES
+  });
+}
+
+/**
+ * Returns the current exclusion list: the last good update if it included one,
+ * otherwise the bundled `excluded-domains.json`. If the bundled file can't be read, the
+ * list is empty, so pages still get their domain info and merchant.
+ *
+ * @returns {Promise<string[]>} The exclusion rules (see domain-matcher.js for their syntax).
+ */
+async function getExcludedDomains() {
+  const remote = await getRemoteData();
+  if (remote?.excludedDomains) return remote.excludedDomains;
+
+  const response = await fetch(chrome.runtime.getURL('src/assets/excluded-domains.json'));
+  if (!response.ok) {
+    console.error(`[Background] Failed to load the bundled exclusion list (status ${response.status}).`);
+    return [];
+  }
+
+  const data = await response.json();
+  return data.excludedDomains || [];
+}
@@ -9,7 +9,12 @@
  * - Handling extension lifecycle events (onInstalled, onUpdated).
  * - Managing communication between content scripts and popup.
  * - Storing tab-specific data for the popup.
+ * - Owning the supported brand index and answering brand lookups (see brand-index.js).
+ * - Fetching brand and exclusion list updates between releases (see data-updates.js).
+ * - Finding registrable domains with the Public Suffix List (see public-suffix.js).
+ * - Loading the special merchant registry (see merchants.js).
  * - Creating the right-click context menu.
+ * - Relaying Single-Page Application navigations to content scripts.
  * - Aggregating analytics events.
  *
  * NOTE: Content script injection is now handled via manifest.json, not programmatically.
@@ -18,11 +23,14 @@
  * @version 2.3.0
  */
 
+importScripts('../shared/utils.js', '../shared/domain-matcher.js', 'brand-index.js', 'data-updates.js', 'public-suffix.js', 'merchants.js');
+
 /**
  * A central configuration object for settings used throughout the background script.
+ * Named apart from the shared `CONFIG` in utils.js, which is loaded into the same scope.
  * @const {Object}
  */
-const CONFIG = {
+const BACKGROUND_CONFIG = {
   ANALYTICS_ENABLED: true, // A global flag to enable or disable analytics logging.
   BADGE_COLORS: {
     DETECTED: '#4CAF50', // The color for the badge when a product is found.
@@ -30,6 +38,13 @@ const CONFIG = {
   }
 };
 
+/**
+ * The current shape of the preferences stored in `chrome.storage.sync`.
+ * Bump this and extend `migratePreferences()` when stored defaults change meaning.
+ * @const {number}
+ */
+const PREFERENCES_VERSION = 2;
+
 /**
  * A Map to store product detection data on a per-tab basis.
  * The key is the tab ID (number), and the value is the detection result object.
@@ -50,14 +65,25 @@ const detectedProducts = new Map();
 */
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('[Background] onInstalled event fired. Reason:', details.reason);
+
+  // Drop the cached brand list and any data update, so a new or edited BrandList.csv
+  // or excluded-domains.json is used, then look for newer data right away.
+  if (details.reason === 'install' || details.reason === 'update') {
+    chrome.storage.local.remove(BRAND_CACHE_KEY);
+    clearRemoteData().then(checkForDataUpdates);
+  }
+  scheduleDataUpdates();
   
   // On first installation, set up the default user preferences in storage.
   if (details.reason === 'install') {
     chrome.storage.sync.set({
       enabled: true,
       autoShow: true,
-      minConfidence: 50,
+      minConfidence: 75,
+      pdpSignalWeights: {},
       blacklistedDomains: [],
+      dismissalMinutes: 15,
+      preferencesVersion: PREFERENCES_VERSION,
       installDate: new Date().toISOString(),
       version: chrome.runtime.getManifest().version
     }, () => {
@@ -78,6 +104,8 @@ chrome.runtime.onInstalled.addListener((details) => {
     };
     
     console.log(`[Background] Extension updated from v${previousVersion} to v${currentVersion}.`);
+
+    migratePreferences();
     
     // Example: Show an update notification if it's a major version change.
     if (previousVersion && previousVersion.split('.')[0] !== currentVersion.split('.')[0]) {
@@ -105,13 +133,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // A content script has detected a brand on a page
     case 'BRAND_DETECTED':
       if (sender.tab?.id && request.data) {
-        detectedProducts.set(sender.tab.id, {
-          ...request.data,
-          detectedAt: new Date().toISOString(),
-          tabId: sender.tab.id,
-          domain: new URL(sender.tab.url).hostname
-        });
-        console.log('[Background] Brand detected and stored for tab:', sender.tab.id);
+        const tabId = sender.tab.id;
+        const { hostname } = new URL(sender.tab.url);
+
+        // Record the store's registrable domain and brand label alongside its hostname.
+        loadPublicSuffixList()
+          .then(publicSuffixList => getDomainInfo(publicSuffixList, hostname))
+          .catch(() => ({ registrableDomain: null, brandLabel: null }))
+          .then(({ registrableDomain, brandLabel }) => {
+            detectedProducts.set(tabId, {
+              ...request.data,
+              detectedAt: new Date().toISOString(),
+              tabId,
+              domain: hostname,
+              registrableDomain,
+              brandLabel
+            });
+            console.log('[Background] Brand detected and stored for tab:', tabId);
+          });
       }
       sendResponse({ success: true });
       break;
@@ -122,6 +161,48 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
+    // A content script wants brand candidates resolved against the brand index.
+    case 'LOOKUP_BRANDS':
+      lookupBrands(request.data)
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => {
+          console.error('[Background] Brand lookup failed:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // A content script needs its page's registrable domain and brand label, the
+    // current exclusion list (bundled or updated) to decide whether to run, and the
+    // special merchant the page belongs to, if any.
+    case 'GET_SITE_INFO':
+      Promise.all([
+        loadPublicSuffixList(),
+        getExcludedDomains(),
+        getMerchantRegistry().catch(error => {
+          console.error('[Background] Failed to load the merchant registry:', error);
+          return [];
+        })
+      ])
+        .then(([publicSuffixList, excludedDomains, merchantRegistry]) => {
+          const domainInfo = getDomainInfo(publicSuffixList, request.data?.hostname);
+          const site = { ...domainInfo, pathname: request.data?.pathname || '/' };
+
+          sendResponse({
+            success: true,
+            data: { ...domainInfo, excludedDomains, merchant: findMerchant(merchantRegistry, site) }
+          });
+        })
+        .catch(error => {
+          console.error('[Background] Failed to load site info:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // Check the data update endpoint now instead of waiting for the next alarm.
+    case 'CHECK_DATA_UPDATES':
+      checkForDataUpdates().then(updated => sendResponse({ success: true, data: { updated } }));
+      break;
+
     // The popup is requesting the data for its current tab.
     case 'GET_TAB_DATA':
       const tabData = detectedProducts.get(sender.tab?.id);
@@ -142,6 +223,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * Domain exclusions are checked by the content script using excluded-domains.json
  */
 
+/**
+ * Re-schedules the periodic data update check, which may not survive a browser restart.
+ */
+chrome.runtime.onStartup.addListener(() => {
+  scheduleDataUpdates();
+});
+
+/**
+ * Runs the periodic data update check.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DATA_UPDATE_CONFIG.ALARM_NAME) {
+    checkForDataUpdates();
+  }
+});
+
 /**
  * Listens for when a tab is closed. We use this to perform garbage collection
  * and remove the data for the closed tab from our `detectedProducts` Map.
@@ -153,6 +250,19 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   }
 });
 
+/**
+ * Tells a tab's content script that a Single-Page Application changed its URL with the
+ * History API. The content script also hooks the History API itself (see
+ * history-hooks.js); this catches navigations made with a reference to `pushState` the
+ * page took before the hook was installed. Tabs without the content script (excluded
+ * sites) reject the message, which is ignored.
+ */
+chrome.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId, url }) => {
+  if (frameId !== 0) return;
+
+  chrome.tabs.sendMessage(tabId, { type: 'URL_CHANGED', data: { url } }).catch(() => {});
+});
+
 /**
  * A mock analytics tracking function. In a real-world scenario, this would send
  * data to a service like Google Analytics, Mixpanel, or a private analytics endpoint.
@@ -161,7 +271,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
  * @param {Object} eventData - The event data to be logged.
  */
 function trackAnalyticsEvent(eventData) {
-  if (!CONFIG.ANALYTICS_ENABLED) return;
+  if (!BACKGROUND_CONFIG.ANALYTICS_ENABLED) return;
   
   // Enrich the event data with common properties for better context.
   const enrichedData = {
@@ -177,6 +287,28 @@ function trackAnalyticsEvent(eventData) {
   // Example: fetch('https://analytics.chaching.me/track', { method: 'POST', body: JSON.stringify(enrichedData) });
 }
 
+/**
+ * Upgrades preferences saved by older versions of the extension.
+ *
+ * Version 2: `minConfidence` used to be installed as 50 but was never read (the PDP
+ * detector hard-coded 75). Now that the detector honors it, installs still holding the
+ * old, untouched default are moved to 75 so detection doesn't silently get looser.
+ */
+function migratePreferences() {
+  chrome.storage.sync.get({ preferencesVersion: 1, minConfidence: 75 }, (items) => {
+    if (items.preferencesVersion >= PREFERENCES_VERSION) return;
+
+    const updates = { preferencesVersion: PREFERENCES_VERSION };
+    if (items.minConfidence === 50) {
+      updates.minConfidence = 75;
+    }
+
+    chrome.storage.sync.set(updates, () => {
+      console.log('[Background] Preferences migrated to version', PREFERENCES_VERSION, updates);
+    });
+  });
+}
+
 /**
  * Shows a system notification to the user. Used here to announce updates.
  *
@@ -210,16 +342,14 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
 /**
  * Listens for clicks on the context menu item we created.
  */
-chrome.contextMenus.onClicked.addListener((info, tab) => {
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   // Ensure the click was on our specific menu item and that text was selected.
   if (info.menuItemId === 'search-chaching' && info.selectionText) {
-    // Sanitize and format the selected text for the search query.
-    const query = info.selectionText
-      .replace(/[^\w\s\-\.']/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .replace(/\s/g, '+');
-    const searchUrl = `https://chaching.me/us/search?query=${query}`;
+    const { region } = await chrome.storage.sync.get({ region: ChachingUtils.CONFIG.DEFAULT_PREFERENCES.region });
+    const searchUrl = ChachingUtils.buildSearchLink(info.selectionText, {
+      region: ChachingUtils.resolveRegion(region),
+      source: 'context-menu'
+    });
     
     chrome.tabs.create({ url: searchUrl });
     
@@ -0,0 +1,131 @@
+/**
+ * merchants.js - Loads the special merchant registry.
+ *
+ * Loaded into the background service worker with importScripts(). Special merchants are
+ * partner stores where ChaChing offers cashback on the whole store, not just on supported
+ * brands. They are listed in `src/assets/merchants.json`, and newer lists can arrive
+ * through the data update channel like the brand list (see data-updates.js).
+ *
+ * Each entry has:
+ * - id:           A stable identifier, e.g. "beachcamera".
+ * - name:         The store name shown to the user.
+ * - domains:      The store's sites, as domain rules (see src/shared/domain-matcher.js).
+ * - cashback:     The store's "up to" cashback percentage. Defaults to CONFIG.DEFAULT_CASHBACK.
+ * - activationUrl: A link template for "Activate Cashback" off product pages, or null for
+ *                 CONFIG.MERCHANT_ACTIVATION_URL. `{merchantId}` is replaced by the id.
+ * - affiliateUrl: A link template for "Activate Cashback" on product pages, or null for
+ *                 CONFIG.MERCHANT_AFFILIATE_URL. `{url}` is replaced by the product page.
+ *                 Templates are https:// URLs, or paths such as "store/steals" relative to
+ *                 the user's ChaChing region (see ChachingUtils.resolveRegion()).
+ * - showOnNonPdp: Whether to offer the cashback on every page of the store, rather than
+ *                 only on product pages.
+ *
+ * Content scripts get the merchant matching their page with `GET_SITE_INFO`, and build its
+ * links with ChachingUtils.buildMerchantLink().
+ *
+ * @module merchants
+ */
+
+/**
+ * The merchant registry once it has been loaded. See getMerchantRegistry().
+ * @type {Promise<{merchant: Object, matcher: DomainMatcher}[]>|null}
+ */
+let merchantRegistryPromise = null;
+
+/**
+ * Checks a link template from the registry: it must be an https:// URL or a relative
+ * path, and contain `{url}` if it's an affiliate template.
+ *
+ * @param {*} template - The template from the file.
+ * @param {boolean} needsProductUrl - Whether the template must contain `{url}`.
+ * @returns {string|null} The template, or null if it is missing or invalid.
+ */
+function parseLinkTemplate(template, needsProductUrl) {
+  if (typeof template !== 'string' || !template) return null;
+
+  // Absolute templates must be https; relative ones can't leave the region's path.
+  const isAbsolute = /^[a-z][a-z0-9+.-]*:/i.test(template);
+  if (isAbsolute ? !template.startsWith('https://') : template.startsWith('/')) return null;
+  if (needsProductUrl && !template.includes('{url}')) return null;
+  return template;
+}
+
+/**
+ * Validates the contents of a merchant registry file, filling in defaults. Entries
+ * without an id, a name or any domains are skipped.
+ *
+ * @param {Object} data - The parsed `merchants.json`.
+ * @returns {Object[]} The merchants.
+ * @throws {Error} If the file has no `merchants` array.
+ */
+function parseMerchants(data) {
+  if (!Array.isArray(data?.merchants)) {
+    throw new Error('The merchant registry needs a "merchants" array');
+  }
+
+  const merchants = [];
+  for (const entry of data.merchants) {
+    const domains = Array.isArray(entry?.domains) ? entry.domains.filter(domain => typeof domain === 'string') : [];
+    if (typeof entry?.id !== 'string' || typeof entry.name !== 'string' || domains.length === 0) {
+      console.warn('[Background] Skipping invalid merchant registry entry:', entry);
+      continue;
+    }
+
+    merchants.push({
+      id: entry.id,
+      name: entry.name,
+      domains,
+      cashback: Number.isFinite(entry.cashback) ? entry.cashback : ChachingUtils.CONFIG.DEFAULT_CASHBACK,
+      activationUrl: parseLinkTemplate(entry.activationUrl, false),
+      affiliateUrl: parseLinkTemplate(entry.affiliateUrl, true),
+      showOnNonPdp: entry.showOnNonPdp === true
+    });
+  }
+
+  return merchants;
+}
+
+/**
+ * Returns the merchant registry, loading it on first use: the last good data update if
+ * it included one, otherwise the bundled `merchants.json`.
+ *
+ * @returns {Promise<{merchant: Object, matcher: DomainMatcher}[]>} Each merchant with a
+ *   matcher for its domains.
+ */
+function getMerchantRegistry() {
+  if (!merchantRegistryPromise) {
+    merchantRegistryPromise = getRemoteData()
+      .then(async (remote) => {
+        if (Array.isArray(remote?.merchants)) return remote.merchants;
+
+        const response = await fetch(chrome.runtime.getURL('src/assets/merchants.json'));
+        return parseMerchants(await response.json());
+      })
+      .then(merchants => merchants.map(merchant => ({ merchant, matcher: new DomainMatcher(merchant.domains) })))
+      .catch((error) => {
+        merchantRegistryPromise = null;
+        throw error;
+      });
+  }
+
+  return merchantRegistryPromise;
+}
+
+/**
+ * Forgets the loaded registry, so the next lookup reloads it.
+ */
+function resetMerchantRegistry() {
+  merchantRegistryPromise = null;
+}
+
+/**
+ * Finds the special merchant a page belongs to.
+ *
+ * @param {{merchant: Object, matcher: DomainMatcher}[]} registry - The registry from getMerchantRegistry().
+ * @param {{hostname: string, registrableDomain: string|null, brandLabel: string|null, pathname: string}} site - The page.
+ * @returns {Object|null} The merchant, or null if the page isn't a special merchant's.
+ */
+function findMerchant(registry, site) {
+  const entry = registry.find(({ matcher }) => matcher.match(site));
+  return entry ? entry.merchant : null;
+}
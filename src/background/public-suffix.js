@@ -0,0 +1,122 @@
+/**
+ * public-suffix.js - Finds registrable domains using the bundled Public Suffix List.
+ *
+ * Loaded into the background service worker with importScripts(). The list
+ * (`src/assets/public-suffix-list.dat`) tells which suffixes anyone can register names
+ * under ("com", "co.uk", "myshopify.com"), so the registrable domain of
+ * "www.levi.co.uk" is "levi.co.uk" rather than "co.uk". The list is only parsed in the
+ * service worker; content scripts get the registrable domain of their page by message
+ * (see `GET_SITE_INFO` in main.js). getDomainInfo() is the only place hostnames are
+ * broken down; nothing else should guess at domains by counting labels.
+ *
+ * @module public-suffix
+ */
+
+/**
+ * The parsed list once it has been loaded. See loadPublicSuffixList().
+ * @type {Promise<{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}>|null}
+ */
+let publicSuffixListPromise = null;
+
+/**
+ * Parses the Public Suffix List format: one rule per line, "//" comments, "*." wildcard
+ * rules and "!" exception rules.
+ *
+ * @param {string} text - The list's contents.
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}} Plain rules,
+ *   the parent domains of wildcard rules ("*.ck" -> "ck") and exception rules without the "!".
+ */
+function parsePublicSuffixList(text) {
+  const list = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+
+  for (const line of text.split('\n')) {
+    const rule = line.trim().toLowerCase();
+    if (!rule || rule.startsWith('//')) continue;
+
+    if (rule.startsWith('!')) {
+      list.exceptions.add(rule.slice(1));
+    } else if (rule.startsWith('*.')) {
+      list.wildcards.add(rule.slice(2));
+    } else {
+      list.rules.add(rule);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Loads and parses the bundled list on first use.
+ *
+ * @returns {Promise<{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}>} The parsed list.
+ */
+function loadPublicSuffixList() {
+  if (!publicSuffixListPromise) {
+    publicSuffixListPromise = fetch(chrome.runtime.getURL('src/assets/public-suffix-list.dat'))
+      .then(response => response.text())
+      .then(parsePublicSuffixList)
+      .catch((error) => {
+        publicSuffixListPromise = null;
+        throw error;
+      });
+  }
+
+  return publicSuffixListPromise;
+}
+
+/**
+ * Finds the public suffix of a hostname, following the list's algorithm: the longest
+ * matching rule wins, exception rules beat wildcards, and a host matching no rule has
+ * its last label as suffix.
+ *
+ * @param {Object} list - The parsed list from loadPublicSuffixList().
+ * @param {string} hostname - A lowercase hostname, e.g. "www.levi.co.uk".
+ * @returns {string} The public suffix, e.g. "co.uk".
+ */
+function getPublicSuffix(list, hostname) {
+  const labels = hostname.split('.');
+
+  // Walk from the longest candidate suffix to the shortest; the first hit is the longest match.
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+
+    if (list.exceptions.has(suffix)) {
+      return labels.slice(i + 1).join('.');
+    }
+    if (list.rules.has(suffix)) {
+      return suffix;
+    }
+    if (i > 0 && list.wildcards.has(suffix)) {
+      return labels.slice(i - 1).join('.');
+    }
+  }
+
+  return labels[labels.length - 1];
+}
+
+/**
+ * The one place hostnames are broken down into their registrable domain and brand
+ * label. Used for domain voting in brand detection, for blocklist and exclusion rules,
+ * and for the background's tab records.
+ *
+ * @param {Object} list - The parsed list from loadPublicSuffixList().
+ * @param {string} hostname - The hostname, e.g. "shop.adidas.com.au".
+ * @returns {{hostname: string, publicSuffix: string|null, registrableDomain: string|null, brandLabel: string|null}}
+ *   The lowercase `hostname`, its `publicSuffix` ("com.au"), its `registrableDomain`
+ *   ("adidas.com.au": the public suffix plus one more label) and its `brandLabel`
+ *   ("adidas": the registrable domain without the suffix). Everything but `hostname` is
+ *   null for IP addresses, single-label hosts such as "localhost", and hosts that are
+ *   themselves public suffixes.
+ */
+function getDomainInfo(list, hostname) {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  const info = { hostname: host, publicSuffix: null, registrableDomain: null, brandLabel: null };
+  if (!host.includes('.') || /^[\d.]+$/.test(host) || host.includes(':')) return info;
+
+  const suffix = getPublicSuffix(list, host);
+  if (host === suffix) return info;
+
+  const labels = host.slice(0, -(suffix.length + 1)).split('.');
+  const brandLabel = labels[labels.length - 1];
+  return { hostname: host, publicSuffix: suffix, registrableDomain: `${brandLabel}.${suffix}`, brandLabel };
+}
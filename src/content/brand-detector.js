@@ -2,10 +2,14 @@
  * @file src/content/brand-detector.js
  * @description The brand detection engine for the ChaChing Extension.
  *
- * This module uses a pure "voting" system to determine the most likely supported brand on a page.
- * It finds all potential brand candidates using various robust strategies, then tallies "votes"
+ * This module uses a weighted "voting" system to determine the most likely supported brand on a page.
+ * It finds all potential brand candidates using various robust strategies, tagging each candidate
+ * with the strategy (source) that found it and that strategy's weight. It then tallies weighted votes
  * for each of our officially supported brands based on **exact, whole-word matches** with the candidates.
- * The supported brand with the most votes wins.
+ * Candidates are resolved through the brand registry's aliases and synonyms by the background
+ * service worker, which owns the brand index (see lookupBrands() in brands.js), so
+ * "Levi Strauss & Co." votes for "Levi's" and "North Face" for "The North Face".
+ * The supported brand with the highest score wins; ties are broken deterministically.
  *
  * This detector is only called after the page passes PDP (Product Detail Page) detection,
  * ensuring we only detect brands on actual product pages.
@@ -13,30 +17,53 @@
  * @version 2.6.0
  */
 class BrandDetector {
+  constructor() {
+    /**
+     * The page's registrable domain and brand label (see setDomainInfo()).
+     * Until they are known, the domain strategy casts no vote.
+     * @type {{registrableDomain: string|null, brandLabel: string|null}}
+     */
+    this.domainInfo = { registrableDomain: null, brandLabel: null };
+  }
+
   /**
    * The main detection method. It orchestrates the brand discovery, voting, and validation.
    *
-   * @returns {Object|null} If a supported brand wins the vote, it returns a result object, otherwise null.
-   * The result object includes `isSupported`, and `productInfo` which contains the `brand`, `title`, and `cashback`.
+   * @param {Object} [product] - The page's product model, from StructuredDataReader.read()
+   * @returns {Promise<Object|null>} If a supported brand wins the vote, it returns a result object, otherwise null.
+   * The result object includes `isSupported`, `productInfo` which contains the `brand`, `title`,
+   * the brand's `cashback`, `category` and `brandSlug` from BrandList.csv, and `matchedAlias`
+   * (the alias or synonym that matched, or null if the canonical name was found directly),
+   * and `brandVote` which contains the winner's `score`, its `margin` over the `runnerUp`
+   * (null if unopposed), and the `sources` that voted for it.
    */
-  detectBrandOnPage() {
+  async detectBrandOnPage(product = new StructuredDataReader().read()) {
     ChachingUtils.log('info', 'Detector', 'Starting brand detection...');
     
     // Step 1: Gather all possible brand mentions from the page.
-    const candidates = this.findAllBrandCandidates();
+    const candidates = await this.findAllBrandCandidates(product);
     // Step 2: Tally votes and determine the winning *supported* brand.
     const bestBrand = this.determineBestBrandByVotes(candidates);
     
     if (bestBrand) {
       // The winner is now the full brand object from our map.
-      ChachingUtils.log('info', 'Detector', `SUCCESS: Determined best brand is "${bestBrand.name}".`);
+      ChachingUtils.log('info', 'Detector', `SUCCESS: Determined best brand is "${bestBrand.brand.name}" (score ${bestBrand.score}, margin ${bestBrand.margin}).`);
       const title = this.extractProductTitle();
       return {
         isSupported: true,
         productInfo: { 
-          brand: bestBrand.name, 
+          brand: bestBrand.brand.name, 
           title: title,
-          cashback: bestBrand.cashback // Pass cashback level
+          cashback: bestBrand.brand.cashback, // Pass cashback level
+          category: bestBrand.brand.category,
+          brandSlug: bestBrand.brand.slug,
+          matchedAlias: bestBrand.matchedAlias
+        },
+        brandVote: {
+          score: bestBrand.score,
+          margin: bestBrand.margin,
+          runnerUp: bestBrand.runnerUp,
+          sources: bestBrand.sources
         }
       };
     }
@@ -47,52 +74,34 @@ class BrandDetector {
   
   /**
    * Aggregates all potential brand candidates from a product detail page using multiple strategies.
-   * This function's sole purpose is to gather as much evidence as possible.
+   * This function's sole purpose is to gather as much evidence as possible. The candidates are
+   * then resolved to supported brands in one lookup to the background service worker, which
+   * also scans the product title for brand names.
    *
-   * @returns {string[]} An array of all found brand name candidates, including duplicates.
+   * @param {Object} product - The page's product model, from StructuredDataReader.read()
+   * @returns {Promise<{value: string, source: string, weight: number, match: Object|null}[]>} All found
+   *   brand name candidates, including duplicates, each tagged with its strategy, that strategy's
+   *   weight and the supported brand it resolved to (`match`, see lookupBrands()), if any.
    */
-  findAllBrandCandidates() {
+  async findAllBrandCandidates(product) {
     let candidates = [];
+    const addCandidate = (value, source) => {
+      candidates.push({ value, source, weight: BrandDetector.STRATEGY_WEIGHTS[source], match: null });
+    };
 
-    // Strategy 1: Structured Data (JSON-LD)
-    const structuredDataScript = document.querySelector('script[type="application/ld+json"]');
-    if (structuredDataScript) {
-        try {
-            const data = JSON.parse(structuredDataScript.textContent);
-            const brand = data.brand?.name || data.brand;
-            if (typeof brand === 'string' && brand.trim()) candidates.push(brand.trim());
-        } catch (e) { /* Ignore */ }
-    }
-
-    // Strategy 2: Title Search (Using word boundaries for accuracy)
-    const productTitle = this.extractProductTitle();
-    if (productTitle) {
-      const lowerCaseTitle = productTitle.toLowerCase();
-      SUPPORTED_BRANDS_ARRAY.forEach(brand => {
-        // Use a regex with word boundaries (\\b) to ensure whole-word matching.
-        // This prevents 'levis' from matching inside 'levinson'.
-        const brandRegex = new RegExp(`\\b${brand}\\b`, 'i'); // Case-insensitive regex
-        if (brandRegex.test(lowerCaseTitle)) {
-          const match = lowerCaseTitle.match(brandRegex);
-          if (match) {
-            // Find the original casing from the title for accuracy.
-            const originalCasingBrand = productTitle.substring(match.index, match.index + match[0].length);
-            candidates.push(originalCasingBrand);
-            ChachingUtils.log('info', 'Detector', `Found candidate from title via regex: "${originalCasingBrand}"`);
-          }
-        }
-      });
-    }
+    // Strategy 1: Structured Data (JSON-LD, microdata or RDFa, see StructuredDataReader)
+    if (product.brand) addCandidate(product.brand, 'structuredData');
 
     // Strategy 3: Open Graph Meta Tags
     const ogBrandElement = document.querySelector('meta[property="product:brand"], meta[property="og:brand"]');
-    if (ogBrandElement && ogBrandElement.content) candidates.push(ogBrandElement.content.trim());
+    if (ogBrandElement && ogBrandElement.content) addCandidate(ogBrandElement.content.trim(), 'metaBrand');
 
     // Strategy 4: Semantic HTML - Check for common data attributes and class names.
-    const brandSelectors = ['[itemprop="brand"] [itemprop="name"]', '[itemprop="brand"]', '[data-product-brand]', '.product-brand', '[class*="brand-name"]'];
+    // (Microdata's itemprop="brand" is read by strategy 1.)
+    const brandSelectors = ['[data-product-brand]', '.product-brand', '[class*="brand-name"]'];
     for (const selector of brandSelectors) {
       const element = document.querySelector(selector);
-      if (element && element.innerText?.trim()) candidates.push(element.innerText.trim());
+      if (element && element.innerText?.trim()) addCandidate(element.innerText.trim(), 'semanticHtml');
     }
 
     // Strategy 5: Look for visible key-value pairs (e.g., "Brand: Nike").
@@ -103,7 +112,7 @@ class BrandDetector {
             // Robustly find the value, even if it's not an immediate sibling.
             if (!valueElement && label.parentElement) valueElement = label.parentElement.nextElementSibling;
             if (valueElement?.firstElementChild) valueElement = valueElement.firstElementChild; // Handle nested values.
-            if (valueElement && valueElement.innerText?.trim()) candidates.push(valueElement.innerText.trim());
+            if (valueElement && valueElement.innerText?.trim()) addCandidate(valueElement.innerText.trim(), 'labeledValue');
         }
     }
 
@@ -112,89 +121,126 @@ class BrandDetector {
     if (breadcrumbItems.length > 1) {
       const brandCandidate = breadcrumbItems[breadcrumbItems.length - 2].innerText.trim();
       if (brandCandidate.length > 2 && !['home', 'products', 'shop'].includes(brandCandidate.toLowerCase())) {
-        candidates.push(brandCandidate);
+        addCandidate(brandCandidate, 'breadcrumb');
       }
     }
 
     // Strategy 7: Open Graph Site Name
     const ogSiteName = document.querySelector('meta[property="og:site_name"]');
-    if (ogSiteName && ogSiteName.content) candidates.push(ogSiteName.content.trim());
+    if (ogSiteName && ogSiteName.content) addCandidate(ogSiteName.content.trim(), 'siteName');
     
-    // Strategy 8: Domain Name (Robust Extraction)
-    const domain = this.extractMainDomain(window.location.hostname);
+    // Strategy 8: Domain Name (the store's brand label, e.g. 'nike' for 'www.nike.co.uk')
+    const domain = this.domainInfo.brandLabel;
     if (domain) {
-        candidates.push(domain);
+        addCandidate(domain, 'domain');
         ChachingUtils.log('info', 'Detector', `Found candidate from domain: "${domain}"`);
     }
+
+    const productTitle = this.extractProductTitle();
+    const lookup = await lookupBrands(candidates.map(({ value, source }) => ({
+      value,
+      isBrandField: BrandDetector.BRAND_FIELD_SOURCES.includes(source)
+    })), productTitle || '');
+    if (!lookup) return [];
+
+    candidates.forEach((candidate, i) => {
+      candidate.match = lookup.resolved[i];
+    });
+
+    // Strategy 2: Title Search (Using word boundaries for accuracy)
+    // The background's prebuilt brand matcher scans the title once, matching whole words only
+    // (so 'levis' can't match inside 'levinson') and multi-word brands like 'The North Face'.
+    for (const { value, text, ...match } of lookup.textMatches) {
+      candidates.push({ value, source: 'title', weight: BrandDetector.STRATEGY_WEIGHTS.title, match });
+      ChachingUtils.log('info', 'Detector', `Found candidate from title: "${text}"`);
+    }
     
     ChachingUtils.log('info', 'Detector', `Found ${candidates.length} total brand candidates:`, candidates);
     return candidates;
   }
 
   /**
-   * Extracts the main part of a domain name, ignoring subdomains and TLDs.
-   * e.g., 'www.levi.co.uk' becomes 'levi'.
+   * Sets the page's registrable domain and brand label, used by the domain strategy.
+   * They come from the background script's Public Suffix List, so 'www.levi.co.uk'
+   * gives 'levi' rather than 'co'.
    *
-   * @param {string} hostname - The full hostname from the URL.
-   * @returns {string|null} The extracted main domain name.
+   * @param {{registrableDomain: string|null, brandLabel: string|null}} domainInfo - The page's domain info.
    */
-  extractMainDomain(hostname) {
-    if (!hostname) return null;
-    // This regex is designed to handle common TLDs, including multi-part ones like .co.uk.
-    const domainParts = hostname.split('.');
-    if (domainParts.length >= 2) {
-      // Handles domain.com, domain.co.uk, etc. by taking the part before the TLD.
-      return domainParts[domainParts.length - 2];
-    }
-    return hostname; // Fallback for simple hostnames like 'localhost'.
+  setDomainInfo(domainInfo) {
+    this.domainInfo = { ...this.domainInfo, ...domainInfo };
   }
 
   /**
-   * Determines the most likely brand by counting which supported brand appears most often
-   * within a list of candidates found on the page.
+   * Determines the most likely brand by tallying weighted votes from the candidates found on the page.
+   *
+   * Each strategy (source) votes at most once per brand, so a brand repeated by several
+   * selectors of the same strategy isn't counted several times. Ties are broken
+   * deterministically by: more distinct sources, then the strongest single source,
+   * then the brand key in alphabetical order.
    *
-   * @param {string[]} candidates - An array of potential brand names found on the page.
-   * @returns {Object|null} The winning brand object (including name and cashback) from our supported list, or null.
+   * @param {{value: string, source: string, weight: number, match: Object|null}[]} candidates - Tagged,
+   *   resolved candidates from findAllBrandCandidates().
+   * @returns {Object|null} The winning brand, or null. Properties:
+   *   - brand {Object} The brand's name, cashback, category and slug from our supported list
+   *   - matchedAlias {string|null} The alias that matched the brand, if any
+   *   - score {number} The winner's total weighted votes
+   *   - margin {number} The winner's lead over the runner-up (equal to `score` when unopposed)
+   *   - runnerUp {Object|null} The runner-up's `brand` name and `score`, or null
+   *   - sources {Object[]} The `source`, `value` and `weight` of each vote for the winner
    */
   determineBestBrandByVotes(candidates) {
     if (!candidates || candidates.length === 0) return null;
 
-    const voteCounts = new Map();
+    // Brand key -> { key, brand, score, sources, matchedAlias }
+    const tallies = new Map();
 
-    // For each of our officially supported brands, count how many times it appears
-    // within the candidates gathered from the page.
-    for (const supportedBrandName of SUPPORTED_BRANDS_MAP.keys()) {
-      candidates.forEach(candidate => {
-        // Perform a strict, case-insensitive equality check for whole-word matching.
-        if (normalizeBrand(candidate) === supportedBrandName) {
-          // If it matches exactly, cast a vote for that SUPPORTED brand.
-          voteCounts.set(supportedBrandName, (voteCounts.get(supportedBrandName) || 0) + 1);
-        }
-      });
-    }
+    // Each candidate that resolved (by canonical name, alias or synonym) casts a weighted
+    // vote for the SUPPORTED brand it belongs to.
+    candidates.forEach(candidate => {
+      const match = candidate.match;
+      if (!match) return;
 
-    if (voteCounts.size === 0) {
+      if (!tallies.has(match.key)) {
+        tallies.set(match.key, { key: match.key, brand: match.brand, score: 0, sources: [], matchedAlias: null });
+      }
+      const tally = tallies.get(match.key);
+
+      if (tally.sources.some(vote => vote.source === candidate.source)) return;
+
+      tally.score += candidate.weight;
+      tally.sources.push({ source: candidate.source, value: candidate.value, weight: candidate.weight });
+      // The first alias each brand was matched through, reported with the result.
+      if (match.matchedAlias && !tally.matchedAlias) {
+        tally.matchedAlias = match.matchedAlias;
+      }
+    });
+
+    if (tallies.size === 0) {
       ChachingUtils.log('info', 'Detector', 'No supported brands were found within any of the page candidates.');
       return null;
     }
 
-    // Find the supported brand that received the most votes.
-    let maxVotes = 0;
-    let winningBrandName = null;
-    for (const [brandName, votes] of voteCounts.entries()) {
-      if (votes > maxVotes) {
-        maxVotes = votes;
-        winningBrandName = brandName;
-      }
-    }
-    
-    if (winningBrandName) {
-      ChachingUtils.log('info', 'Detector', `Votes tallied. Winning brand is "${winningBrandName}" with ${maxVotes} votes.`);
-      // Return the full brand object from the map.
-      return SUPPORTED_BRANDS_MAP.get(winningBrandName);
-    }
+    const strongestVote = tally => Math.max(...tally.sources.map(vote => vote.weight));
+    const ranking = Array.from(tallies.values()).sort((a, b) =>
+      (b.score - a.score) ||
+      (b.sources.length - a.sources.length) ||
+      (strongestVote(b) - strongestVote(a)) ||
+      (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+    );
 
-    return null;
+    const [winner, runnerUp] = ranking;
+    const margin = runnerUp ? winner.score - runnerUp.score : winner.score;
+
+    ChachingUtils.log('info', 'Detector', `Votes tallied. Winning brand is "${winner.key}" with a score of ${winner.score}.`, ranking);
+
+    return {
+      brand: winner.brand,
+      matchedAlias: winner.matchedAlias,
+      score: winner.score,
+      margin,
+      runnerUp: runnerUp ? { brand: runnerUp.brand.name, score: runnerUp.score } : null,
+      sources: winner.sources
+    };
   }
 
   /**
@@ -215,6 +261,30 @@ class BrandDetector {
   }
 }
 
+/**
+ * The weight of a vote from each candidate strategy. Explicit brand fields outrank
+ * brand names merely mentioned in the title, which outrank hints about the store itself.
+ * @type {Object<string, number>}
+ */
+BrandDetector.STRATEGY_WEIGHTS = Object.freeze({
+  structuredData: 5, // Strategy 1: the structured data product's "brand"
+  title: 2,          // Strategy 2: brand name found in the product title
+  metaBrand: 4,      // Strategy 3: product:brand / og:brand meta tags
+  semanticHtml: 4,   // Strategy 4: data-product-brand, .product-brand, ...
+  labeledValue: 3,   // Strategy 5: visible "Brand: Nike" pairs
+  breadcrumb: 1.5,   // Strategy 6: second-to-last breadcrumb
+  siteName: 1,       // Strategy 7: og:site_name (the store, not necessarily the brand)
+  domain: 1          // Strategy 8: the store's domain name
+});
+
+/**
+ * The strategies that read text the page labels as the product's brand. Only their
+ * candidates may match generated synonyms (see resolveBrand() in brand-index.js); the
+ * others read breadcrumbs, store names and domains, where "Office" is just a word.
+ * @type {string[]}
+ */
+BrandDetector.BRAND_FIELD_SOURCES = Object.freeze(['structuredData', 'metaBrand', 'semanticHtml', 'labeledValue']);
+
 // Export the detector class instance for use in content.js
 if (typeof window !== 'undefined') {
   window.BrandDetector = BrandDetector;
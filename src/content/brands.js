@@ -1,51 +1,48 @@
 /**
- * brands.js - Dynamically loads and manages the list of supported brands.
+ * brands.js - Looks up supported brands from content scripts.
  *
- * This module fetches the `BrandList.csv` file, parses it, and creates a global,
- * quickly-searchable Map of supported brands. It also assigns a static cashback
- * percentage to each brand as it's loaded.
- *
- * This asynchronous loading ensures that the brand list can be updated easily
- * by modifying the CSV file without needing to redeploy the entire extension.
+ * The brand list is loaded, indexed and cached once by the background service worker
+ * (see src/background/brand-index.js), so pages never fetch or parse `BrandList.csv`
+ * or keep the brand index in memory. Content scripts send the brand candidates they
+ * find to the service worker and get back the supported brands they resolve to.
  *
  * @module brands
  */
 
-async function loadBrands() {
+/**
+ * Asks the background service worker to resolve brand candidates found on the page and
+ * to find the brands mentioned in a piece of free text, such as the product title.
+ *
+ * @param {{value: string, isBrandField: boolean}[]} candidates - Possible brand names found
+ *   on the page, each flagged if the page labels it as the brand (a structured data or meta
+ *   tag brand, say), which lets it match synonyms such as "North Face" for "The North Face".
+ * @param {string} [text=''] - Free text to scan for brand names.
+ * @returns {Promise<{resolved: (Object|null)[], textMatches: Object[]}|null>} For each candidate
+ *   in order, its canonical `key`, `brand` (`name`, `cashback`, `category` and `slug`) and
+ *   `matchedAlias`, or null if it isn't a supported brand. `textMatches` holds the same for
+ *   each brand found in `text`, plus the matched `value` and the `text` as written.
+ *   Resolves to null if the lookup failed.
+ */
+async function lookupBrands(candidates, text = '') {
   try {
-    const response = await fetch(chrome.runtime.getURL('src/assets/BrandList.csv'));
-    const csvText = await response.text();
-    
-    // Parse CSV: skip header, trim whitespace, remove quotes, and filter out empty lines.
-    const brandNames = csvText
-      .split('\n')
-      .slice(1) 
-      .map(name => name.trim().replace(/"/g, ''))
-      .filter(Boolean);
+    const response = await chrome.runtime.sendMessage({
+      type: 'LOOKUP_BRANDS',
+      data: { candidates, text }
+    });
 
-    // Create brand objects with a static cashback value
-    const brands = brandNames.map(name => ({
-      name,
-      cashback: 33
-    }));
+    if (!response?.success) {
+      ChachingUtils.log('error', 'Brands', 'Brand lookup failed.', response?.error);
+      return null;
+    }
 
-    // We use a Map for O(1) lookups, mapping a normalized version of the name
-    // to the full brand object (which contains the original name for display).
-    window.SUPPORTED_BRANDS_MAP = new Map(brands.map(brand => [normalizeBrand(brand.name), brand]));
-
-    // We also expose an array of just the normalized brand names (the keys) for matching operations.
-    window.SUPPORTED_BRANDS_ARRAY = Array.from(window.SUPPORTED_BRANDS_MAP.keys());
-
-    ChachingUtils.log('info', 'Brands', `${window.SUPPORTED_BRANDS_ARRAY.length} brands loaded successfully.`);
+    return response.data;
   } catch (error) {
-    ChachingUtils.log('error', 'Brands', 'Failed to load or parse BrandList.csv.', error);
-    // Initialize with empty data to prevent errors in other scripts
-    window.SUPPORTED_BRANDS_MAP = new Map();
-    window.SUPPORTED_BRANDS_ARRAY = [];
+    ChachingUtils.log('error', 'Brands', 'Could not reach the background script for a brand lookup.', error);
+    return null;
   }
 }
 
-// Making the load function available to other scripts.
+// Making the lookup function available to other scripts.
 if (typeof window !== 'undefined') {
-  window.loadBrands = loadBrands;
-} 
\ No newline at end of file
+  window.lookupBrands = lookupBrands;
+}
@@ -0,0 +1,237 @@
+/**
+ * @file src/content/detection-scheduler.js
+ * @description Decides when the content script runs detection passes on a page.
+ *
+ * Hydrated React and Vue storefronts often render the product's `<h1>`, price and
+ * add-to-cart button seconds after the page loads, so a single early pass misses them.
+ * The scheduler runs a first pass straight away, then watches the regions those signals
+ * render into with a MutationObserver and runs another pass shortly after one appears.
+ * It stops when a pass reports a confident result, after `MAX_PASSES` passes, or at the
+ * `DEADLINE`, whichever comes first, so pages that never settle cost nothing afterwards.
+ *
+ * ```javascript
+ * const scheduler = new DetectionScheduler(async (pass) => {
+ *   const result = await detect();
+ *   return result.isSupported; // true stops the scheduler
+ * });
+ * scheduler.start();
+ * ```
+ *
+ * @version 1.0.0
+ */
+class DetectionScheduler {
+  /**
+   * @param {function(number): (boolean|Promise<boolean>)} runPass - Runs one detection pass,
+   *   given its number (1 for the first), and returns true if its result is confident
+   * @param {Object} [options]
+   * @param {number} [options.deadline=DetectionScheduler.DEADLINE] - How long to keep
+   *   watching the page after start(), in milliseconds
+   * @param {number} [options.maxPasses=DetectionScheduler.MAX_PASSES] - The most passes to run
+   * @param {number} [options.rescoreDelay=DetectionScheduler.RESCORE_DELAY] - How long to
+   *   wait after a key signal appears before running a pass, so one pass covers a burst of
+   *   rendering, in milliseconds
+   */
+  constructor(runPass, {
+    deadline = DetectionScheduler.DEADLINE,
+    maxPasses = DetectionScheduler.MAX_PASSES,
+    rescoreDelay = DetectionScheduler.RESCORE_DELAY
+  } = {}) {
+    this.runPass = runPass;
+    this.deadline = deadline;
+    this.maxPasses = maxPasses;
+    this.rescoreDelay = rescoreDelay;
+
+    /**
+     * The number of passes started so far.
+     * @type {number}
+     */
+    this.passes = 0;
+
+    /**
+     * Whether the scheduler is watching the page.
+     * @type {boolean}
+     */
+    this.isRunning = false;
+
+    /**
+     * Whether a pass is in progress (passes are asynchronous).
+     * @type {boolean}
+     */
+    this.isPassRunning = false;
+
+    /**
+     * Whether a key signal appeared while a pass was in progress, so another is due.
+     * @type {boolean}
+     */
+    this.isRescoreDue = false;
+
+    this.observer = null;
+    this.rescoreTimeoutId = null;
+    this.deadlineTimeoutId = null;
+  }
+
+  /**
+   * Runs the first pass and starts watching the page for key signals.
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    this.observer = new MutationObserver(mutations => {
+      if (mutations.some(mutation => DetectionScheduler.addsKeySignal(mutation))) {
+        this.scheduleRescore();
+      }
+    });
+    for (const region of DetectionScheduler.findWatchedRegions()) {
+      this.observer.observe(region, { childList: true, subtree: true });
+    }
+
+    this.deadlineTimeoutId = setTimeout(() => {
+      ChachingUtils.log('info', 'DetectionScheduler', `Deadline reached after ${this.passes} pass(es).`);
+      this.stop();
+    }, this.deadline);
+
+    this.rescore();
+  }
+
+  /**
+   * Stops watching the page. A pass in progress finishes, but no other starts.
+   */
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    this.observer.disconnect();
+    this.observer = null;
+    clearTimeout(this.rescoreTimeoutId);
+    clearTimeout(this.deadlineTimeoutId);
+  }
+
+  /**
+   * Runs a pass after `rescoreDelay`, unless one is already scheduled.
+   */
+  scheduleRescore() {
+    if (!this.isRunning || this.rescoreTimeoutId !== null) return;
+
+    this.rescoreTimeoutId = setTimeout(() => {
+      this.rescoreTimeoutId = null;
+      this.rescore();
+    }, this.rescoreDelay);
+  }
+
+  /**
+   * Runs a pass now, or as soon as the one in progress finishes. Stops the scheduler if
+   * the pass is confident, fails, or was the last one allowed.
+   */
+  async rescore() {
+    if (!this.isRunning) return;
+    if (this.isPassRunning) {
+      this.isRescoreDue = true;
+      return;
+    }
+
+    this.isPassRunning = true;
+    this.passes++;
+
+    let isConfident = false;
+    try {
+      isConfident = await this.runPass(this.passes);
+    } catch (error) {
+      ChachingUtils.log('error', 'DetectionScheduler', `Detection pass ${this.passes} failed.`, error);
+      this.stop();
+    }
+    this.isPassRunning = false;
+
+    if (isConfident) {
+      ChachingUtils.log('info', 'DetectionScheduler', `Confident result after ${this.passes} pass(es).`);
+      this.stop();
+    } else if (this.passes >= this.maxPasses) {
+      ChachingUtils.log('info', 'DetectionScheduler', `No confident result after ${this.passes} passes. Giving up.`);
+      this.stop();
+    } else if (this.isRescoreDue) {
+      this.isRescoreDue = false;
+      this.scheduleRescore();
+    }
+  }
+
+  /**
+   * Finds the regions product content renders into: the page's app root or main content
+   * area if it has one, otherwise the body, plus the head for structured data and meta
+   * tags added after load.
+   * @returns {Element[]} The regions to observe
+   */
+  static findWatchedRegions() {
+    let content = document.body;
+    for (const selector of DetectionScheduler.CONTENT_REGION_SELECTORS) {
+      const region = document.querySelector(selector);
+      if (region) {
+        content = region;
+        break;
+      }
+    }
+    return [content, document.head].filter(Boolean);
+  }
+
+  /**
+   * Checks whether a mutation added something detection scores: a heading, a price, a
+   * button, or product structured data.
+   * @param {MutationRecord} mutation - The mutation
+   * @returns {boolean} True if one of its added nodes is or contains a key signal
+   */
+  static addsKeySignal(mutation) {
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (node.matches(DetectionScheduler.KEY_SIGNAL_SELECTOR) ||
+          node.querySelector(DetectionScheduler.KEY_SIGNAL_SELECTOR)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * How long the scheduler watches a page after its first pass, in milliseconds.
+ * @type {number}
+ */
+DetectionScheduler.DEADLINE = 15000;
+
+/**
+ * The most detection passes run on one page.
+ * @type {number}
+ */
+DetectionScheduler.MAX_PASSES = 6;
+
+/**
+ * How long to wait after a key signal appears before running a pass, in milliseconds.
+ * @type {number}
+ */
+DetectionScheduler.RESCORE_DELAY = 400;
+
+/**
+ * Containers storefronts render their product content into. App roots come first:
+ * frameworks keep their mount point but may replace the `<main>` inside it.
+ * @type {string[]}
+ */
+DetectionScheduler.CONTENT_REGION_SELECTORS = ['#__next', '#__nuxt', '#root', '#app', 'main', '[role="main"]'];
+
+/**
+ * Elements whose appearance makes another pass worthwhile.
+ * @type {string}
+ */
+DetectionScheduler.KEY_SIGNAL_SELECTOR = [
+  'h1',
+  'button',
+  'input[type="submit"]',
+  '[itemprop="price"]',
+  '[itemtype*="schema.org/Product"]',
+  '[class*="price" i]',
+  'script[type="application/ld+json"]',
+  'meta[property^="product:"]',
+  'meta[property^="og:"]'
+].join(', ');
+
+// Export the scheduler class for use in main.js
+if (typeof window !== 'undefined') {
+  window.DetectionScheduler = DetectionScheduler;
+}
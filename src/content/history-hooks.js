@@ -0,0 +1,30 @@
+/**
+ * @file src/content/history-hooks.js
+ * @description Announces Single-Page Application navigations to the content script.
+ *
+ * Calls to `history.pushState()` and `history.replaceState()` change the URL without any
+ * event the content script can listen for, and content scripts can't wrap the page's own
+ * `history` object from their isolated world. This script runs in the page's main world
+ * (`"world": "MAIN"` in manifest.json) at `document_start`, before the page's scripts,
+ * and wraps both methods to dispatch a `chaching:locationchange` event on `window` after
+ * each call. Events are shared between worlds, so ChachingContentScript hears it.
+ *
+ * It has no access to extension APIs or the content script's globals, and adds nothing
+ * to the page's global scope.
+ *
+ * @version 1.0.0
+ */
+(() => {
+  const EVENT_NAME = 'chaching:locationchange';
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    if (typeof original !== 'function') continue;
+
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(EVENT_NAME));
+      return result;
+    };
+  }
+})();
@@ -10,7 +10,7 @@
  * 5.  Handling dynamic page changes in Single-Page Applications (SPAs).
  *
  * Detection Flow:
- * - First verify the page is a PDP (has action buttons + 75+ confidence score)
+ * - First verify the page is a PDP (has action buttons + `minConfidence` score, 75 by default)
  * - Only then check for supported brands
  * - Show notification only if both conditions are met (or for special merchants)
  *
@@ -38,7 +38,8 @@ class ChachingContentScript {
 
     /**
      * Stores the most recent detection result from the detector.
-     * This object contains the confidence score, whether it's a product page, and the product info.
+     * This object contains the confidence score, threshold and signal breakdown from the
+     * PDP detector, whether it's a product page, and the product info.
      * @type {Object|null}
      */
     this.detectionResult = null;
@@ -53,12 +54,67 @@ class ChachingContentScript {
      * A cache for user preferences, loaded from `chrome.storage.sync`.
      * @type {Object}
      */
-    this.preferences = {
-      enabled: true,
-      autoShow: true,
-      minConfidence: 50,
-      blacklistedDomains: []
-    };
+    this.preferences = { ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES };
+
+    /**
+     * Whether detection and SPA observation are currently running on this page.
+     * Toggled by activate()/deactivate() as preferences change.
+     * @type {boolean}
+     */
+    this.isActive = false;
+
+    /**
+     * The notification element currently on the page, if any.
+     * @type {HTMLElement|null}
+     */
+    this.notificationElement = null;
+
+    /**
+     * Schedules detection passes on the current page, see startDetection().
+     * @type {DetectionScheduler|null}
+     */
+    this.detectionScheduler = null;
+
+    /**
+     * The page detection last ran for, from getPageKey(), so SPA navigations can be told
+     * apart from repeated navigation events for the same page.
+     * @type {string|null}
+     */
+    this.currentPageKey = null;
+
+    /**
+     * Cancels the wait for an SPA navigation's content to settle, while one is pending.
+     * @type {Function|null}
+     */
+    this.cancelSettleWait = null;
+
+    /**
+     * Handles History API, `popstate` and `hashchange` navigations. Kept so
+     * stopObservingUrlChanges() can remove it.
+     * @type {Function}
+     */
+    this.onLocationChange = () => this.handleUrlChange();
+
+    /**
+     * The registrable domain of this page (e.g. "levi.co.uk") and its brand label
+     * (e.g. "levi"), looked up by the background script with the Public Suffix List.
+     * Both null if unknown.
+     * @type {{registrableDomain: string|null, brandLabel: string|null}}
+     */
+    this.domainInfo = { registrableDomain: null, brandLabel: null };
+
+    /**
+     * The special merchant this page belongs to, from the merchant registry
+     * (`src/assets/merchants.json`), or null.
+     * @type {Object|null}
+     */
+    this.merchant = null;
+
+    /**
+     * Matches pages in the exclusion list (see domain-matcher.js).
+     * @type {DomainMatcher}
+     */
+    this.exclusionMatcher = new DomainMatcher();
 
     // The entry point for the script's execution.
     this.init();
@@ -66,8 +122,9 @@ class ChachingContentScript {
 
   /**
    * Initializes the content script. This is the main entry point.
-   * It loads user preferences, checks if the extension should run on the
-   * current domain, and sets up listeners for page loads and messages.
+   * It loads user preferences, sets up listeners for messages and preference
+   * changes, and activates detection if the extension should run on the
+   * current domain.
    */
   async init() {
     try {
@@ -78,36 +135,33 @@ class ChachingContentScript {
         return; // Exit early - don't run on excluded domains
       }
 
-      // Asynchronously load brands from the CSV file. This must complete first.
-      await window.loadBrands();
-
       // Asynchronously load preferences from storage.
       await this.loadPreferences();
 
-      // Check if the user has disabled the extension or blacklisted the current site.
-      if (!this.isEnabledForCurrentDomain()) {
-        ChachingUtils.log('info', 'ContentScript', 'Extension is disabled for this domain.');
-        return; // Stop execution if disabled.
-      }
-
-      // The detection logic should only run after the DOM is fully loaded.
-      if (document.readyState === 'loading') {
-        // If the DOM is still loading, wait for the DOMContentLoaded event.
-        document.addEventListener('DOMContentLoaded', () => this.startDetection());
-      } else {
-        // If the DOM is already loaded, we can start immediately.
-        this.startDetection();
-      }
+      // Apply the user's PDP sensitivity settings before any detection runs.
+      this.configurePdpDetector();
 
       // Set up a listener to handle messages from other parts of the extension
       // (like the popup or background script).
+      // These listeners are registered even when the extension is disabled for this
+      // domain, so it can be switched back on without reloading the page.
       chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         this.handleMessage(request, sender, sendResponse);
         return true; // `return true` is required for asynchronous sendResponse calls.
       });
 
-      // Set up a listener for URL changes to support Single-Page Applications (SPAs).
-      this.observeUrlChanges();
+      // Pick up preference changes made in other tabs, the options page, or on other devices.
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        this.handleStorageChange(changes, areaName);
+      });
+
+      // Check if the user has disabled the extension or blacklisted the current site.
+      if (!this.isEnabledForCurrentDomain()) {
+        ChachingUtils.log('info', 'ContentScript', 'Extension is disabled for this domain.');
+        return; // Stop execution if disabled.
+      }
+
+      this.activate();
 
     } catch (error) {
       ChachingUtils.log('error', 'ContentScript', 'Initialization failed.', error);
@@ -115,26 +169,133 @@ class ChachingContentScript {
   }
 
   /**
-   * Checks if the current domain is in the exclusion list
+   * Starts detection and SPA observation on this page.
+   */
+  activate() {
+    if (this.isActive) return;
+    this.isActive = true;
+
+    // The detection logic should only run after the DOM is fully loaded.
+    if (document.readyState === 'loading') {
+      // If the DOM is still loading, wait for the DOMContentLoaded event.
+      document.addEventListener('DOMContentLoaded', () => this.startDetection(), { once: true });
+    } else {
+      // If the DOM is already loaded, we can start immediately.
+      this.startDetection();
+    }
+
+    // Set up a listener for URL changes to support Single-Page Applications (SPAs).
+    this.observeUrlChanges();
+
+    ChachingUtils.log('info', 'ContentScript', 'Detection activated.');
+  }
+
+  /**
+   * Stops SPA observation and removes any notification from the page. Pending
+   * detection passes check `isActive` and bail out.
+   */
+  deactivate() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this.stopObservingUrlChanges();
+    this.stopDetection();
+    this.removeNotification();
+
+    ChachingUtils.log('info', 'ContentScript', 'Detection deactivated.');
+  }
+
+  /**
+   * Applies changed preferences to the running page: turns detection on or off,
+   * hides or shows the notification, and reconfigures the PDP detector.
+   *
+   * @param {Object} updates - The changed preferences (only the keys that changed).
+   */
+  applyPreferences(updates) {
+    this.preferences = { ...this.preferences, ...updates };
+    ChachingUtils.log('info', 'ContentScript', 'Preferences updated.', updates);
+
+    if ('minConfidence' in updates || 'pdpSignalWeights' in updates) {
+      this.configurePdpDetector();
+    }
+
+    // Disabled globally or for this domain: stop everything.
+    if (!this.isEnabledForCurrentDomain()) {
+      this.deactivate();
+      return;
+    }
+
+    // Just re-enabled: run detection from scratch.
+    if (!this.isActive) {
+      this.activate();
+      return;
+    }
+
+    if ('autoShow' in updates) {
+      if (!this.preferences.autoShow) {
+        this.removeNotification();
+      } else if (this.detectionResult?.isSupported && !this.notificationShown) {
+        this.showNotification();
+      }
+    }
+
+    // Show the notification on screen in its new mode.
+    if ('notificationMode' in updates && this.notificationElement) {
+      this.removeNotification();
+      this.showNotification();
+    }
+  }
+
+  /**
+   * Handles `chrome.storage.onChanged` events and forwards preference changes
+   * to applyPreferences().
+   *
+   * @param {Object<string, chrome.storage.StorageChange>} changes - The changed keys.
+   * @param {string} areaName - The storage area ("sync", "local", ...).
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+
+    const defaults = ChachingUtils.CONFIG.DEFAULT_PREFERENCES;
+    const updates = {};
+
+    for (const [key, change] of Object.entries(changes)) {
+      if (key in defaults) {
+        // A removed key falls back to its default.
+        updates[key] = change.newValue === undefined ? defaults[key] : change.newValue;
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      this.applyPreferences(updates);
+    }
+  }
+
+  /**
+   * Checks if the current page is in the exclusion list. The background script owns
+   * the list, which may be newer than the bundled `excluded-domains.json`, and looks up
+   * this page's registrable domain and brand label, which the exclusion list and
+   * blocklist rules and domain voting in brand detection need, and the special merchant
+   * (see src/assets/merchants.json) this page belongs to.
    * @returns {Promise<boolean>} True if domain should be excluded
    */
   async checkExcludedDomain() {
     try {
-      const response = await fetch(chrome.runtime.getURL('src/assets/excluded-domains.json'));
-      const data = await response.json();
-      const excludedDomains = data.excludedDomains || [];
-      
-      const currentHostname = window.location.hostname.toLowerCase();
-      
-      // Check if current hostname contains any excluded domain
-      for (const excludedDomain of excludedDomains) {
-        if (currentHostname.includes(excludedDomain.toLowerCase())) {
-          ChachingUtils.log('info', 'ContentScript', `Domain ${currentHostname} matches excluded domain: ${excludedDomain}`);
-          return true;
-        }
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SITE_INFO',
+        data: { hostname: window.location.hostname, pathname: window.location.pathname }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the background script');
       }
-      
-      return false;
+
+      const { registrableDomain, brandLabel } = response.data;
+      this.domainInfo = { registrableDomain, brandLabel };
+      this.brandDetector.setDomainInfo(this.domainInfo);
+      this.merchant = response.data.merchant;
+      this.exclusionMatcher = new DomainMatcher(response.data.excludedDomains);
+
+      return this.isExcludedPage();
     } catch (error) {
       ChachingUtils.log('error', 'ContentScript', 'Failed to load excluded domains:', error);
       // If we can't load the exclusions, continue with default behavior
@@ -156,15 +317,57 @@ class ChachingContentScript {
     });
   }
 
+  /**
+   * Passes the `minConfidence` threshold and `pdpSignalWeights` overrides from the
+   * user's preferences to the PDP detector.
+   */
+  configurePdpDetector() {
+    this.pdpDetector.configure({
+      threshold: this.preferences.minConfidence,
+      weights: this.preferences.pdpSignalWeights
+    });
+  }
+
+  /**
+   * Describes the current page for domain rule matching.
+   * @returns {{hostname: string, registrableDomain: string|null, brandLabel: string|null, pathname: string}} The page
+   */
+  getCurrentSite() {
+    return {
+      hostname: window.location.hostname,
+      ...this.domainInfo,
+      pathname: window.location.pathname
+    };
+  }
+
+  /**
+   * Checks the current page against the exclusion list loaded by checkExcludedDomain().
+   * @returns {boolean} True if the page is excluded
+   */
+  isExcludedPage() {
+    const rule = this.exclusionMatcher.match(this.getCurrentSite());
+    if (rule) {
+      ChachingUtils.log('info', 'ContentScript', `Page ${window.location.hostname}${window.location.pathname} matches excluded domain rule: ${rule}`);
+    }
+    return Boolean(rule);
+  }
+
   /**
    * Checks if the extension is globally enabled and if the current website's
    * domain has not been blacklisted by the user.
    *
+   * Blocklist entries use the same rules as the exclusion list (see domain-matcher.js).
+   * Entries saved by the options page are hostnames ("example.com") and block the host
+   * and its subdomains; older entries are bare names ("example") and block any site
+   * registered under that name.
+   *
    * @returns {boolean} True if the extension should be active on the current domain.
    */
   isEnabledForCurrentDomain() {
-    const currentDomain = ChachingUtils.extractDomain(window.location.href);
-    return this.preferences.enabled && !this.preferences.blacklistedDomains.includes(currentDomain);
+    if (!this.preferences.enabled) return false;
+
+    const rule = new DomainMatcher(this.preferences.blacklistedDomains).match(this.getCurrentSite());
+    return !rule;
   }
 
   /**
@@ -172,81 +375,170 @@ class ChachingContentScript {
    * 1. First checks if the current page is a Product Detail Page (PDP)
    * 2. If it's a PDP, then checks for supported brands
    * 
-   * Uses a debounced function to prevent it from running too frequently,
-   * which can happen during rapid DOM changes on modern websites.
+   * Passes are scheduled by a DetectionScheduler: one straight away, then another each
+   * time the page renders a key signal (a heading, price or button), until a notification
+   * is due or the scheduler's deadline passes. Late-rendering storefronts are covered
+   * without re-scoring on every DOM change.
    * 
    * Notifications are shown only when BOTH conditions are met:
-   * - The page is a valid PDP (action buttons + 75+ confidence score)
+   * - The page is a valid PDP (action buttons + `minConfidence` score)
    * - A supported brand is detected on the page
    * 
-   * Exception: Special merchant sites bypass the PDP requirement.
+   * Exception: On a special merchant's site (see src/assets/merchants.json), the
+   * merchant's offer is shown on product pages without a supported brand, and on every
+   * other page too if the merchant has `showOnNonPdp` set.
    */
   startDetection() {
-    const detectPage = (isRetry = false) => {
-      ChachingUtils.log('info', 'ContentScript', `Running detection... (Attempt: ${isRetry ? '2' : '1'})`);
-
-      // First check if this is a product detail page
-      const isPDP = this.pdpDetector.isProductPage();
-      ChachingUtils.log('info', 'ContentScript', `PDP check result: ${isPDP}`);
-
-      // Only detect brands if we're on a product page
-      if (isPDP) {
-        this.detectionResult = this.brandDetector.detectBrandOnPage();
-        
-        // Add isProductPage flag to the result
-        if (this.detectionResult) {
-          this.detectionResult.isProductPage = true;
-        }
-        
-        // If a supported brand was found on the page...
-        if (this.detectionResult && this.detectionResult.isSupported) {
-          
-          ChachingUtils.log('info', 'ContentScript', 'Supported brand detected on PDP.', this.detectionResult);
-
-          if (this.preferences.autoShow && !this.notificationShown) {
-            this.showNotification();
-          }
-          this.notifyBackgroundScript();
-        } else if (!isRetry) {
-          ChachingUtils.log('info', 'ContentScript', 'No supported brand found on PDP on first attempt. Scheduling a retry.');
-          setTimeout(() => detectPage(true), 3000); // 3-second delay for the retry.
-        } else {
-          ChachingUtils.log('info', 'ContentScript', 'No supported brand was found on this PDP after retry.');
+    this.stopDetection();
+
+    const scheduler = new DetectionScheduler(pass => this.runDetectionPass(pass, scheduler));
+    this.detectionScheduler = scheduler;
+    scheduler.start();
+  }
+
+  /**
+   * Stops scheduling detection passes on this page. A pass in progress still finishes.
+   */
+  stopDetection() {
+    if (this.detectionScheduler) {
+      this.detectionScheduler.stop();
+      this.detectionScheduler = null;
+    }
+  }
+
+  /**
+   * Runs one detection pass and acts on its result: shows the notification and tells the
+   * background script if a supported brand or special merchant was found.
+   *
+   * @param {number} pass - The pass number, 1 for the first on this page.
+   * @param {DetectionScheduler} scheduler - The scheduler running the pass.
+   * @returns {Promise<boolean>} True if the result is final and no more passes are needed.
+   */
+  async runDetectionPass(pass, scheduler) {
+    // Detection may have been switched off, or restarted for a new page, since this
+    // pass was scheduled.
+    const isCurrent = () => this.isActive && this.detectionScheduler === scheduler;
+    if (!isCurrent()) return true;
+
+    ChachingUtils.log('info', 'ContentScript', `Running detection... (Pass: ${pass})`);
+
+    // The page's structured data is parsed once and shared by both detectors.
+    const product = new StructuredDataReader().read();
+
+    // First check if this is a product detail page
+    const pdpResult = this.pdpDetector.isProductPage(product);
+    const isPDP = pdpResult.isProductPage;
+    ChachingUtils.log('info', 'ContentScript', `PDP check result: ${isPDP}`);
+
+    // The PDP score breakdown is always kept on the result so the popup can
+    // explain why the page was (or wasn't) classified as a product page.
+    const pdpDetails = {
+      isProductPage: isPDP,
+      confidence: pdpResult.score,
+      threshold: pdpResult.threshold,
+      signals: pdpResult.signals,
+      reason: pdpResult.reason,
+      detectionPasses: pass
+    };
+
+    // Only detect brands if we're on a product page
+    if (isPDP) {
+      const brandResult = await this.brandDetector.detectBrandOnPage(product);
+
+      // The brand lookup is answered by the background script; detection may
+      // have been switched off or restarted in the meantime.
+      if (!isCurrent()) return true;
+
+      this.detectionResult = { isSupported: false, ...brandResult, ...pdpDetails };
+
+      // No supported brand, but the whole store is a special merchant.
+      if (!this.detectionResult.isSupported && this.merchant) {
+        this.detectionResult = this.getMerchantResult(pdpDetails);
+      }
+
+      // The popup shows the product's price and identifiers next to its title, and the
+      // identifiers let ChaChing search for this exact product.
+      if (this.detectionResult.productInfo) {
+        this.detectionResult.productInfo.price = pdpResult.price;
+        this.detectionResult.productInfo.identifiers = new ProductIdentifierExtractor().extract(product);
+        if (!this.detectionResult.isSpecialMerchant) {
+          this.detectionResult.productInfo.searchQuery = this.composeSearchQuery(product);
         }
-      } else {
-        // Check for special merchants even on non-PDP pages
-        const currentHostname = window.location.hostname.toLowerCase();
-        const specialMerchants = ['steals.com', 'beachcamera.com', 'videoshops.com', 'salonhq.com', 'pedalelectric.com'];
-        const matchedMerchant = specialMerchants.find(merchant => currentHostname.includes(merchant));
-
-        if (matchedMerchant) {
-            ChachingUtils.log('info', 'ContentScript', `On a special merchant site: ${matchedMerchant}.`);
-            this.detectionResult = {
-                isSupported: true,
-                isSpecialMerchant: true,
-                isProductPage: false, // Not a PDP but still show notification
-                productInfo: {
-                    brand: matchedMerchant, 
-                    title: `Up to 33% cash back at ${matchedMerchant}`,
-                    cashback: 33
-                }
-            };
-            if (this.preferences.autoShow && !this.notificationShown) {
-                this.showNotification();
-            }
-            this.notifyBackgroundScript();
-        } else if (!isRetry) {
-          ChachingUtils.log('info', 'ContentScript', 'Not a PDP. Scheduling a retry in case page is still loading.');
-          setTimeout(() => detectPage(true), 3000); // 3-second delay for the retry.
-        } else {
-          ChachingUtils.log('info', 'ContentScript', 'This is not a product detail page after retry.');
+      }
+
+      // If a supported brand was found on the page...
+      if (this.detectionResult.isSupported) {
+
+        ChachingUtils.log('info', 'ContentScript', 'Supported brand or special merchant detected on PDP.', this.detectionResult);
+
+        if (this.preferences.autoShow && !this.notificationShown) {
+          this.showNotification();
         }
+        this.notifyBackgroundScript();
+        return true;
       }
-    };
 
-    // Use a debounced function for the initial call to avoid running during rapid DOM changes.
-    const debouncedDetect = ChachingUtils.debounce(() => detectPage(false), 500);
-    debouncedDetect();
+      ChachingUtils.log('info', 'ContentScript', 'No supported brand found on PDP yet. Waiting for more content.');
+      return false;
+    }
+
+    this.detectionResult = { isSupported: false, ...pdpDetails };
+
+    // Special merchants that opt in are offered on every page of their store.
+    if (this.merchant?.showOnNonPdp) {
+      ChachingUtils.log('info', 'ContentScript', `On a special merchant site: ${this.merchant.name}.`);
+      this.detectionResult = this.getMerchantResult(pdpDetails);
+      if (this.preferences.autoShow && !this.notificationShown) {
+        this.showNotification();
+      }
+      this.notifyBackgroundScript();
+      return true;
+    }
+
+    ChachingUtils.log('info', 'ContentScript', 'Not a PDP yet. Waiting for more content in case the page is still loading.');
+    return false;
+  }
+
+  /**
+   * Composes the search query for the detected product from its brand, name and
+   * identifiers, leaving out the store's name (see SearchQueryComposer).
+   * @param {Object} product - The page's product model, from StructuredDataReader.read()
+   * @returns {string} The query, or an empty string if there is nothing to search for
+   */
+  composeSearchQuery(product) {
+    const { brand, title, identifiers } = this.detectionResult.productInfo;
+    const composer = new SearchQueryComposer({
+      storeNames: [
+        document.querySelector('meta[property="og:site_name"]')?.content,
+        this.domainInfo.registrableDomain,
+        this.domainInfo.brandLabel,
+        window.location.hostname
+      ]
+    });
+
+    // The structured data's product name is usually cleaner than the page's heading.
+    return composer.compose({ brand, title: product.name || title, identifiers });
+  }
+
+  /**
+   * Builds the detection result offering the current special merchant's cashback.
+   * @param {Object} pdpDetails - The PDP score breakdown for this page
+   * @returns {Object} The detection result
+   */
+  getMerchantResult(pdpDetails) {
+    const merchant = this.merchant;
+    return {
+      isSupported: true,
+      isSpecialMerchant: true,
+      ...pdpDetails,
+      merchant,
+      productInfo: {
+        brand: merchant.name,
+        title: ChachingUtils.getMessage('merchantOfferTitle', [String(merchant.cashback), merchant.name]),
+        cashback: merchant.cashback,
+        merchantId: merchant.id
+      }
+    };
   }
 
   /**
@@ -254,10 +546,13 @@ class ChachingContentScript {
    * 
    * Pre-conditions for showing:
    * 1. Must be on a PDP with a supported brand OR on a special merchant site
-   * 2. Must not have been dismissed on this URL within the last 15 minutes
+   * 2. Must not have been dismissed on this URL within the dismissal window
+   *    (`dismissalMinutes` preference, 15 minutes by default)
    * 3. Must not already be showing a notification
    * 
    * The notification is designed to be persistent and must be manually dismissed.
+   * It is shown as a full card, a corner badge or a side tab (see chooseNotificationMode()),
+   * wherever the user last dragged that mode on this site.
    */
   async showNotification() {
     // Prevent duplicate notifications
@@ -274,68 +569,70 @@ class ChachingContentScript {
       return;
     }
 
-    // Check if notification was dismissed recently on this specific URL (within 15 minutes)
+    const mode = this.chooseNotificationMode();
+
+    // The page this notification is for. An SPA navigation while we wait below replaces
+    // both, and the notification must not be built from the next page's result.
+    const { detectionResult, currentPageKey } = this;
+
+    // Check if notification was dismissed recently on this specific URL (within the dismissal window)
     const dismissalKey = `dismissal_${window.location.href}`;
-    const dismissalData = await this.getStorageData(dismissalKey);
+    const [dismissalData, styles, position] = await Promise.all([
+      this.getStorageData(dismissalKey),
+      ChachingContentScript.loadNotificationStyles(),
+      this.loadNotificationPosition(mode)
+    ]);
+
+    // The extension may have been disabled, another notification shown, or the user moved
+    // on to another page while we waited.
+    if (!this.isActive || this.notificationShown ||
+        this.detectionResult !== detectionResult || this.currentPageKey !== currentPageKey) {
+      return;
+    }
+
+    // Without its stylesheet the notification would render as bare text in the page.
+    if (!styles) {
+      return;
+    }
     
     if (dismissalData) {
       const dismissalTime = new Date(dismissalData.timestamp).getTime();
       const currentTime = new Date().getTime();
-      const fifteenMinutes = 15 * 60 * 1000; // 15 minutes in milliseconds
+      const dismissalWindow = this.preferences.dismissalMinutes * 60 * 1000; // minutes to milliseconds
       
-      if (currentTime - dismissalTime < fifteenMinutes) {
+      if (currentTime - dismissalTime < dismissalWindow) {
         ChachingUtils.log('info', 'ContentScript', 'Notification dismissed recently for this URL, skipping.');
         return;
       }
     }
 
     // Create notification element
-    const notification = this.createNotificationElement();
-
-    const setZIndex = (nodes) => {
-      const highestZ = this.getHighestZIndex(nodes);
-      // Ensure we don't accidentally lower our z-index if it's already high
-      const currentZ = parseInt(notification.style.zIndex, 10) || 0;
-      if (highestZ + 1 > currentZ) {
-        notification.style.zIndex = highestZ + 1;
-        ChachingUtils.log('info', 'ContentScript', `Dynamically set z-index to ${highestZ + 1}.`);
-      }
-    };
+    const notification = this.createNotificationElement(styles, mode);
+    const card = notification.chachingCard;
+
+    const placement = new NotificationPlacement(card, mode, position);
+    placement.apply();
+    placement.enableDragging(newPosition => this.saveNotificationPosition(mode, newPosition));
 
-    // Set z-index immediately on creation
-    setZIndex();
-    
     // Add to page
     document.body.appendChild(notification);
     this.notificationShown = true;
+    this.notificationElement = notification;
+
+    // The card is shown in the browser's top layer, above everything the page renders
+    // whatever its z-index, so there's no need to watch the page for higher ones.
+    // Browsers without the Popover API get the highest z-index there is.
+    if (typeof card.showPopover === 'function') {
+      card.showPopover();
+    } else {
+      card.style.zIndex = ChachingContentScript.FALLBACK_Z_INDEX;
+    }
 
     // Animate in
     setTimeout(() => {
-      notification.classList.add('chaching-show');
+      card.classList.add('chaching-show');
     }, 100);
 
-    // Re-check z-index after short delays to win wars against late-loading scripts.
-    setTimeout(setZIndex, 500);
-    setTimeout(setZIndex, 1500);
-
-    // Use a MutationObserver to watch for other elements being added to the page
-    // and re-assert our z-index if needed.
-    const observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          // A new node was added. We check its z-index and its children's to ensure we stay on top.
-          // A small delay allows the new element to be fully rendered before we check it.
-          setTimeout(() => setZIndex(mutation.addedNodes), 100);
-          return; // No need to check other mutations in this batch
-        }
-      }
-    });
-
-    observer.observe(document.body, { childList: true, subtree: true });
-
-    // Store the observer on the notification element so we can disconnect it later
-    notification.chachingObserver = observer;
-
     // NO AUTO-HIDE - notification stays until dismissed
   }
 
@@ -343,116 +640,189 @@ class ChachingContentScript {
    * Creates the HTML structure for the notification element.
    * This now dynamically inserts the brand name and cashback percentage.
    *
-   * @returns {HTMLElement} The fully-formed, but not-yet-inserted, notification element.
+   * The notification card lives in a closed shadow root on a `<chaching-notification>`
+   * host, so the page's CSS can't restyle it, its class names can't clash with the
+   * page's, and the page's scripts can't reach into it. The card is kept on the host as
+   * `chachingCard`, a property only the content script's isolated world can see.
+   *
+   * Compact modes ("badge" and "tab") show only the logo and cashback rate until they
+   * are hovered, focused or tapped, when they expand into the full card.
+   *
+   * @param {string} styles - The notification's stylesheet, from loadNotificationStyles().
+   * @param {string} [mode='card'] - The notification mode, from chooseNotificationMode().
+   * @returns {HTMLElement} The fully-formed, but not-yet-inserted, notification host.
    */
-  createNotificationElement() {
+  createNotificationElement(styles, mode = 'card') {
+    const host = document.createElement('chaching-notification');
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = styles;
+
     const notification = document.createElement('div');
-    notification.className = 'chaching-notification';
+    notification.className = `chaching-notification chaching-mode-${mode}`;
+    const isCompact = mode !== 'card';
+    if (isCompact) {
+      notification.classList.add('chaching-compact');
+    }
+    // A manual popover stays open until it is hidden, whatever the user clicks or presses.
+    notification.popover = 'manual';
+
+    // Each brand carries its own rate from BrandList.csv.
+    const cashback = String(this.detectionResult?.productInfo?.cashback ?? ChachingUtils.CONFIG.DEFAULT_CASHBACK);
+
+    // The strings come from the _locales message bundles and are filled in as text below.
+    notification.innerHTML = `
+      <button class="chaching-btn chaching-btn-secondary chaching-close">✕</button>
+      <div class="chaching-notification-content">
+        <div class="chaching-icon">
+          <img src="${chrome.runtime.getURL('src/assets/ChaChing_Logo.png')}" />
+        </div>
+        <div class="chaching-compact-label"></div>
+        <div class="chaching-text">
+          <div class="chaching-title"></div>
+          <div class="chaching-subtitle"></div>
+          <div class="chaching-benchmark"></div>
+        </div>
+        <div class="chaching-actions">
+          <button class="chaching-btn chaching-btn-primary chaching-search"></button>
+        </div>
+      </div>
+    `;
 
+    let strings;
     if (this.detectionResult?.isSpecialMerchant) {
       const merchantName = this.detectionResult.productInfo.brand;
-      notification.innerHTML = `
-        <button class="chaching-btn chaching-btn-secondary" id="chaching-close">✕</button>
-        <div class="chaching-notification-content">
-          <div class="chaching-icon">
-            <img src="${chrome.runtime.getURL('src/assets/ChaChing_Logo.png')}" alt="ChaChing Logo" />
-          </div>
-          <div class="chaching-text">
-            <div class="chaching-title">Get up to 33% Cash Back!</div>
-            <div class="chaching-subtitle">Earn cashback at ${merchantName} when you shop through ChaChing.</div>
-          </div>
-          <div class="chaching-actions">
-            <button class="chaching-btn chaching-btn-primary" id="chaching-search">
-              Activate Cashback
-            </button>
-          </div>
-        </div>
-      `;
+      strings = {
+        title: ChachingUtils.getMessage('notificationMerchantTitle', cashback),
+        subtitle: ChachingUtils.getMessage('notificationMerchantSubtitle', merchantName),
+        benchmark: '',
+        action: ChachingUtils.getMessage('notificationMerchantAction')
+      };
     } else {
       // The notification now focuses on the brand.
-      const brandName = this.detectionResult?.productInfo?.brand || 'top brands';
+      const brandName = this.detectionResult?.productInfo?.brand || ChachingUtils.getMessage('notificationDefaultBrand');
       // For display purposes only, capitalize the first letter of the brand name.
       const displayBrandName = brandName.charAt(0).toUpperCase() + brandName.slice(1);
+      strings = {
+        title: ChachingUtils.getMessage('notificationBrandTitle', cashback),
+        subtitle: ChachingUtils.getMessage('notificationBrandSubtitle', displayBrandName),
+        benchmark: ChachingUtils.getMessage('notificationBrandBenchmark'),
+        action: ChachingUtils.getMessage('notificationBrandAction')
+      };
+    }
 
-      notification.innerHTML = `
-        <button class="chaching-btn chaching-btn-secondary" id="chaching-close">✕</button>
-        <div class="chaching-notification-content">
-          <div class="chaching-icon">
-            <img src="${chrome.runtime.getURL('src/assets/ChaChing_Logo.png')}" alt="ChaChing Logo" />
-          </div>
-          <div class="chaching-text">
-            <div class="chaching-title">Up to 33% Cash Back - Big, Fast, Reliable</div>
-            <div class="chaching-subtitle">On ${displayBrandName} products TODAY from a similar store</div>
-            <div class="chaching-benchmark">Beat Amazon prices BEFORE Cash Back?! Discounts & coupons can also be further applied.</div>
-          </div>
-          <div class="chaching-actions">
-            <button class="chaching-btn chaching-btn-primary" id="chaching-search">
-              See it
-            </button>
-          </div>
-        </div>
-      `;
+    notification.querySelector('.chaching-icon img').alt = ChachingUtils.getMessage('notificationLogoAlt');
+    notification.querySelector('.chaching-close').setAttribute('aria-label', ChachingUtils.getMessage('notificationClose'));
+    notification.querySelector('.chaching-title').textContent = strings.title;
+    notification.querySelector('.chaching-subtitle').textContent = strings.subtitle;
+    notification.querySelector('.chaching-search').textContent = strings.action;
+    const benchmark = notification.querySelector('.chaching-benchmark');
+    if (strings.benchmark) {
+      benchmark.textContent = strings.benchmark;
+    } else {
+      benchmark.remove();
+    }
+
+    const compactLabel = notification.querySelector('.chaching-compact-label');
+    if (isCompact) {
+      compactLabel.textContent = ChachingUtils.getMessage('notificationCompactLabel', cashback);
+
+      // Collapsed, the text is hidden, so the headline is the card's name. Focusing it
+      // with the keyboard expands it like hovering does; tapping toggles it on touch screens.
+      notification.tabIndex = 0;
+      notification.setAttribute('role', 'group');
+      notification.setAttribute('aria-label', strings.title);
+      notification.addEventListener('click', (event) => {
+        if (!event.target.closest('button')) {
+          notification.classList.toggle('chaching-expanded');
+        }
+      });
+    } else {
+      compactLabel.remove();
     }
 
     // Add event listeners. Note the close button is now at the top level.
-    notification.querySelector('#chaching-search').addEventListener('click', () => {
+    notification.querySelector('.chaching-search').addEventListener('click', () => {
       this.saveDismissalTime(); // Also save when searching
       this.searchOnChaching();
-      this.hideNotification(notification);
+      this.hideNotification(host);
     });
 
-    notification.querySelector('#chaching-close').addEventListener('click', () => {
+    notification.querySelector('.chaching-close').addEventListener('click', () => {
       this.saveDismissalTime();
-      this.hideNotification(notification);
+      this.hideNotification(host);
     });
 
     // No hover tracking needed since we don't auto-hide
 
-    return notification;
+    shadowRoot.append(style, notification);
+    host.chachingCard = notification;
+    return host;
   }
 
   /**
-   * Finds the highest z-index on the page to ensure the notification is on top.
-   * This function is robust, checking for newly added nodes and searching inside open Shadow DOMs.
-   * @param {NodeList} [nodes] - An optional list of new nodes to check directly. If not provided, it scans the whole page.
-   * @returns {number} The highest z-index found.
+   * Picks how the next notification is shown: the `notificationMode` preference if the
+   * user chose one, otherwise ("auto"):
+   * - a corner badge for a special merchant's offer on a page that isn't a product page,
+   *   which the user may see on every page of the store
+   * - a side tab on narrow screens, where a full card would cover the page
+   * - the full card everywhere else
+   *
+   * @returns {string} "card", "badge" or "tab"
    */
-  getHighestZIndex(nodes) {
-    let highestIndex = 0;
+  chooseNotificationMode() {
+    const preference = this.preferences.notificationMode;
+    if (ChachingContentScript.NOTIFICATION_MODES.includes(preference)) {
+      return preference;
+    }
 
-    const elements = nodes || document.querySelectorAll('*');
+    if (this.detectionResult?.isSpecialMerchant && !this.detectionResult.isProductPage) {
+      return 'badge';
+    }
+    if (window.innerWidth <= NotificationPlacement.NARROW_VIEWPORT) {
+      return 'tab';
+    }
+    return 'card';
+  }
 
-    // Recursive function to find the max z-index in a node tree (including open shadow DOMs)
-    const findHighestZ = (nodeList) => {
-      for (const element of nodeList) {
-        if (element.nodeType !== Node.ELEMENT_NODE) {
-          continue;
-        }
-        
-        // Skip our own notification elements to avoid an infinite loop
-        if (element.classList && element.classList.contains('chaching-notification')) {
-          continue;
-        }
+  /**
+   * The storage key for this site's notification positions. Subdomains of a store share
+   * its positions.
+   * @returns {string} The key, e.g. "position_levi.co.uk"
+   */
+  getPositionKey() {
+    return `position_${this.domainInfo.registrableDomain || window.location.hostname}`;
+  }
 
-        const style = window.getComputedStyle(element);
-        const zIndex = parseInt(style.zIndex, 10);
-        
-        if (zIndex > highestIndex) {
-          highestIndex = zIndex;
-        }
-        
-        // If the element has a shadow root, and it's open, recursively search inside it.
-        // We cannot search closed shadow roots, so we rely on checking the host element's z-index.
-        if (element.shadowRoot && element.shadowRoot.mode === 'open') {
-          findHighestZ(element.shadowRoot.querySelectorAll('*'));
-        }
-      }
-    };
+  /**
+   * Loads where the user last dragged a notification mode on this site.
+   *
+   * @param {string} mode - The notification mode.
+   * @returns {Promise<Object|null>} The saved position (see NotificationPlacement), or null.
+   */
+  async loadNotificationPosition(mode) {
+    const positions = await this.getStorageData(this.getPositionKey());
+    return positions?.[mode] || null;
+  }
 
-    findHighestZ(elements);
-    
-    // If no z-index is found, default to a very high number as a safety net.
-    return Math.max(highestIndex, 2147483640);
+  /**
+   * Remembers where the user dragged a notification mode on this site. Each mode keeps
+   * its own position.
+   *
+   * @param {string} mode - The notification mode.
+   * @param {Object} position - The new position, from NotificationPlacement.
+   */
+  async saveNotificationPosition(mode, position) {
+    const key = this.getPositionKey();
+
+    try {
+      const positions = await this.getStorageData(key);
+      await chrome.storage.local.set({ [key]: { ...positions, [mode]: position } });
+      ChachingUtils.log('info', 'ContentScript', `Notification position saved for ${mode} mode.`, position);
+    } catch (error) {
+      ChachingUtils.log('error', 'ContentScript', 'Failed to save the notification position.', error);
+    }
   }
 
   /**
@@ -470,16 +840,15 @@ class ChachingContentScript {
   /**
    * Hides and removes the notification element from the DOM with a fade-out animation.
    *
-   * @param {HTMLElement} notification - The notification element to be removed.
+   * @param {HTMLElement} notification - The notification host to be removed.
    */
   hideNotification(notification) {
-    // Disconnect the observer to prevent memory leaks when the notification is hidden.
-    if (notification.chachingObserver) {
-      notification.chachingObserver.disconnect();
+    if (this.notificationElement === notification) {
+      this.notificationElement = null;
     }
 
-    notification.classList.remove('chaching-show');
-    notification.classList.add('chaching-hide');
+    notification.chachingCard.classList.remove('chaching-show');
+    notification.chachingCard.classList.add('chaching-hide');
     
     // Wait for the CSS fade-out animation to complete before removing from the DOM.
     setTimeout(() => {
@@ -488,23 +857,61 @@ class ChachingContentScript {
   }
 
   /**
-   * Opens the chaching.me search results page in a new tab for the detected brand.
+   * Removes the current notification (if any) because of a preference change rather
+   * than a user dismissal, so it may be shown again if the preference flips back.
    */
-  searchOnChaching() {
-    // The search is now based on the brand, if available. Fallback to title.
-    const searchQuery = this.detectionResult?.productInfo?.brand || this.detectionResult?.productInfo?.title;
+  removeNotification() {
+    if (this.notificationElement) {
+      this.hideNotification(this.notificationElement);
+    }
+    this.notificationShown = false;
+  }
+
+  /**
+   * Opens the chaching.me search results page in a new tab for the detected brand, or
+   * the merchant's activation link on a special merchant's site.
+   * @param {string} [source='notification'] - Where the user asked for it, for the link's UTM parameters
+   */
+  searchOnChaching(source = 'notification') {
+    const region = ChachingUtils.resolveRegion(this.preferences.region);
+
+    if (this.detectionResult?.isSpecialMerchant) {
+      const activationUrl = ChachingUtils.buildMerchantLink(this.detectionResult.merchant, {
+        productUrl: this.detectionResult.isProductPage ? window.location.href : undefined,
+        region,
+        source
+      });
+      this.trackEvent('merchant_activation', {
+        merchant: this.detectionResult.merchant.id,
+        product_link: this.detectionResult.isProductPage,
+        source,
+        source_domain: window.location.hostname
+      });
+      window.open(activationUrl, '_blank');
+      return;
+    }
+
+    // Search for the product with the composed query, falling back to the brand, then the title.
+    const productInfo = this.detectionResult?.productInfo;
+    const identifiers = productInfo?.identifiers;
+    const searchQuery = productInfo?.searchQuery || productInfo?.brand || productInfo?.title;
 
     if (!searchQuery) {
       ChachingUtils.log('error', 'ContentScript', 'Cannot search, no brand or title available.');
       return;
     }
 
-    const chachingUrl = ChachingUtils.generateChachingUrl(searchQuery);
+    const chachingUrl = ChachingUtils.buildSearchLink(searchQuery, {
+      brandSlug: productInfo?.brandSlug,
+      identifiers,
+      region,
+      source
+    });
     
     // Log this action for analytics.
     this.trackEvent('search_initiated_from_notification', {
       query: searchQuery,
-      type: this.detectionResult?.productInfo?.brand ? 'brand' : 'title',
+      type: productInfo?.searchQuery ? 'product' : productInfo?.brand ? 'brand' : 'title',
       source_domain: window.location.hostname
     });
 
@@ -521,7 +928,12 @@ class ChachingContentScript {
       data: {
         url: window.location.href,
         brand: this.detectionResult.productInfo.brand,
-        title: this.detectionResult.productInfo.title
+        title: this.detectionResult.productInfo.title,
+        cashback: this.detectionResult.productInfo.cashback,
+        category: this.detectionResult.productInfo.category,
+        matchedAlias: this.detectionResult.productInfo.matchedAlias,
+        identifiers: this.detectionResult.productInfo.identifiers || null,
+        detectionPasses: this.detectionResult.detectionPasses
       }
     });
   }
@@ -541,7 +953,7 @@ class ChachingContentScript {
 
       // The popup wants to trigger a search.
       case 'TRIGGER_SEARCH':
-        this.searchOnChaching();
+        this.searchOnChaching('popup');
         sendResponse({ success: true });
         break;
 
@@ -553,6 +965,12 @@ class ChachingContentScript {
         sendResponse({ success: true });
         break;
       
+      // The background script saw the History API change this tab's URL.
+      case 'URL_CHANGED':
+        if (this.isActive) this.handleUrlChange();
+        sendResponse({ success: true });
+        break;
+
       // The user has requested a re-scan of the page.
       case 'RE_DETECT':
         this.notificationShown = false;
@@ -560,6 +978,12 @@ class ChachingContentScript {
         sendResponse({ success: true });
         break;
 
+      // A preference was changed in the popup. Apply it to this page immediately.
+      case 'PREFERENCE_UPDATED':
+        this.applyPreferences(request.data || {});
+        sendResponse({ success: true });
+        break;
+
       default:
         // Respond to unknown message types.
         sendResponse({ success: false, error: 'Unknown message type' });
@@ -567,30 +991,108 @@ class ChachingContentScript {
   }
 
   /**
-   * Sets up an interval to check for URL changes. This is crucial for Single-Page
-   * Applications (SPAs) where navigation doesn't trigger a full page reload.
+   * Listens for URL changes. This is crucial for Single-Page Applications (SPAs) where
+   * navigation doesn't trigger a full page reload. Navigations are reported by:
+   * - `chaching:locationchange`, dispatched by history-hooks.js after `pushState()` and
+   *   `replaceState()`
+   * - `popstate` and `hashchange`, for the back and forward buttons and hash routers
+   * - `URL_CHANGED` messages, relayed by the background script from
+   *   `chrome.webNavigation.onHistoryStateUpdated`
+   * Several of these fire for one navigation; handleUrlChange() acts on the first.
    */
   observeUrlChanges() {
-    let lastUrl = window.location.href;
-    
-    // Every second, check if the URL has changed.
-    setInterval(() => {
-      const currentUrl = window.location.href;
-      if (currentUrl !== lastUrl) {
-        lastUrl = currentUrl;
-        ChachingUtils.log('info', 'ContentScript', 'URL change detected (SPA navigation), re-running detection.');
-        
-        // Reset the state for the new "page".
-        this.notificationShown = false;
-        this.detectionResult = null;
-        
-        // Clean up any old notifications that might still be on the page.
-        document.querySelectorAll('.chaching-notification').forEach(el => el.remove());
-        
-        // Re-run the detection logic for the new content.
-        setTimeout(() => this.startDetection(), 1000); // Wait a moment for the SPA to render.
-      }
-    }, 1000);
+    this.currentPageKey = ChachingContentScript.getPageKey(window.location.href);
+
+    // Adding the same listener twice has no effect, so this is safe to call again.
+    window.addEventListener('chaching:locationchange', this.onLocationChange);
+    window.addEventListener('popstate', this.onLocationChange);
+    window.addEventListener('hashchange', this.onLocationChange);
+  }
+
+  /**
+   * Stops listening for URL changes, and abandons detection for a navigation whose
+   * content hasn't settled yet.
+   */
+  stopObservingUrlChanges() {
+    window.removeEventListener('chaching:locationchange', this.onLocationChange);
+    window.removeEventListener('popstate', this.onLocationChange);
+    window.removeEventListener('hashchange', this.onLocationChange);
+
+    this.cancelSettleWait?.();
+    this.cancelSettleWait = null;
+  }
+
+  /**
+   * Resets the page state after an SPA navigation, then re-runs detection once the new
+   * page's content has settled. Navigations within the same page are ignored.
+   */
+  handleUrlChange() {
+    const pageKey = ChachingContentScript.getPageKey(window.location.href);
+    if (pageKey === this.currentPageKey) return;
+    this.currentPageKey = pageKey;
+
+    ChachingUtils.log('info', 'ContentScript', 'URL change detected (SPA navigation), re-running detection.');
+
+    // Reset the state for the new "page".
+    this.notificationShown = false;
+    this.detectionResult = null;
+
+    // Clean up any old notifications that might still be on the page.
+    document.querySelectorAll('chaching-notification').forEach(el => el.remove());
+    this.notificationElement = null;
+
+    // Passes for the old page stop, and a quick second navigation replaces the first
+    // one's pending detection.
+    this.stopDetection();
+    this.cancelSettleWait?.();
+    this.cancelSettleWait = null;
+
+    // Path rules in the exclusion list or blocklist may cover the new page.
+    if (this.isExcludedPage() || !this.isEnabledForCurrentDomain()) {
+      ChachingUtils.log('info', 'ContentScript', 'New page is excluded or blocked, skipping detection.');
+      return;
+    }
+
+    // Re-run the detection logic once the SPA has rendered the new content.
+    this.cancelSettleWait = this.waitForPageToSettle(() => {
+      this.cancelSettleWait = null;
+      this.startDetection();
+    });
+  }
+
+  /**
+   * Waits for the page to stop changing: calls back once the DOM has gone
+   * `SETTLE_QUIET_PERIOD` ms without a mutation, or after `SETTLE_MAX_WAIT` ms on pages
+   * that never stop changing (carousels, live chat widgets, tickers).
+   *
+   * @param {Function} callback - Called once the page has settled.
+   * @returns {Function} Cancels the wait without calling back.
+   */
+  waitForPageToSettle(callback) {
+    let quietTimeoutId = null;
+    let deadlineTimeoutId = null;
+
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimeoutId);
+      quietTimeoutId = setTimeout(settle, ChachingContentScript.SETTLE_QUIET_PERIOD);
+    });
+
+    const cancel = () => {
+      observer.disconnect();
+      clearTimeout(quietTimeoutId);
+      clearTimeout(deadlineTimeoutId);
+    };
+
+    const settle = () => {
+      cancel();
+      callback();
+    };
+
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    quietTimeoutId = setTimeout(settle, ChachingContentScript.SETTLE_QUIET_PERIOD);
+    deadlineTimeoutId = setTimeout(settle, ChachingContentScript.SETTLE_MAX_WAIT);
+
+    return cancel;
   }
 
   /**
@@ -643,8 +1145,73 @@ class ChachingContentScript {
       });
     });
   }
+
+  /**
+   * Loads the notification's stylesheet (`src/content/styles.css`) for its shadow root.
+   * It is fetched once per page and reused by every notification.
+   *
+   * @returns {Promise<string>} The stylesheet's text, or an empty string if it can't be loaded.
+   */
+  static loadNotificationStyles() {
+    if (!ChachingContentScript.notificationStyles) {
+      ChachingContentScript.notificationStyles = fetch(chrome.runtime.getURL('src/content/styles.css'))
+        .then(response => response.text())
+        .catch((error) => {
+          ChachingUtils.log('error', 'ContentScript', 'Failed to load the notification styles.', error);
+          ChachingContentScript.notificationStyles = null;
+          return '';
+        });
+    }
+    return ChachingContentScript.notificationStyles;
+  }
+
+  /**
+   * Identifies the page a URL shows, for telling SPA navigations apart. The fragment is
+   * left out unless it is a hash router's route ("#/product/123", "#!/product/123"), so
+   * jumping to "#reviews" isn't a new page.
+   *
+   * @param {string} url - The URL, e.g. "https://shop.example/p/123#reviews"
+   * @returns {string} The page key, e.g. "https://shop.example/p/123"
+   */
+  static getPageKey(url) {
+    const page = new URL(url);
+    if (!/^#!?\//.test(page.hash)) page.hash = '';
+    return page.href;
+  }
 }
 
+/**
+ * How long the DOM must go without changing before an SPA navigation's content is
+ * considered settled, in milliseconds.
+ * @type {number}
+ */
+ChachingContentScript.SETTLE_QUIET_PERIOD = 500;
+
+/**
+ * The longest wait for an SPA navigation's content to settle, in milliseconds.
+ * @type {number}
+ */
+ChachingContentScript.SETTLE_MAX_WAIT = 5000;
+
+/**
+ * The notification modes the user can pick with the `notificationMode` preference.
+ * @type {string[]}
+ */
+ChachingContentScript.NOTIFICATION_MODES = ['card', 'badge', 'tab'];
+
+/**
+ * The notification card's z-index in browsers without the Popover API: the largest
+ * 32-bit integer, the highest any browser honours.
+ * @type {number}
+ */
+ChachingContentScript.FALLBACK_Z_INDEX = 2147483647;
+
+/**
+ * The notification's stylesheet once it starts loading, see loadNotificationStyles().
+ * @type {Promise<string>|null}
+ */
+ChachingContentScript.notificationStyles = null;
+
 // Initialize the content script when the extension loads
 if (typeof window !== 'undefined' && !window.chachingContentScript) {
   window.chachingContentScript = new ChachingContentScript();
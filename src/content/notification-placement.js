@@ -0,0 +1,268 @@
+/**
+ * @file src/content/notification-placement.js
+ * @description Positions the on-page notification and lets the user drag it.
+ *
+ * A position is anchored to the viewport corner nearest the notification, so it stays in
+ * that corner when the window is resized and compact notifications expand towards the
+ * middle of the screen rather than off its edge:
+ *
+ * ```javascript
+ * { horizontal: 'right', x: 30, vertical: 'bottom', y: 30 } // 30px from the bottom right
+ * ```
+ *
+ * Side tabs always touch the left or right edge (`x` is 0) and are only dragged up and
+ * down, or across to the other edge. The content script remembers each mode's position
+ * per site (see ChachingContentScript.saveNotificationPosition()).
+ *
+ * @version 1.0.0
+ */
+class NotificationPlacement {
+  /**
+   * @param {HTMLElement} element - The notification card
+   * @param {string} mode - The notification mode: "card", "badge" or "tab"
+   * @param {Object|null} [position] - A saved position, or null for the mode's default
+   */
+  constructor(element, mode, position = null) {
+    this.element = element;
+    this.mode = mode;
+
+    /**
+     * The current position, see NotificationPlacement.normalize().
+     * @type {{horizontal: string, x: number, vertical: string, y: number}}
+     */
+    this.position = NotificationPlacement.normalize(position, mode);
+
+    /**
+     * The pointer and card position when a drag may have started, or null.
+     * @type {{pointerId: number, x: number, y: number, left: number, top: number}|null}
+     */
+    this.pointerStart = null;
+
+    /**
+     * Whether the pointer has moved far enough to count as a drag rather than a click.
+     * @type {boolean}
+     */
+    this.isDragging = false;
+
+    /**
+     * Swallows the click that ends a drag, while one may still follow, see blockNextClick().
+     * @type {Function|null}
+     */
+    this.clickBlocker = null;
+    this.clickBlockerTimeoutId = null;
+  }
+
+  /**
+   * Moves the notification to its position. Full cards on narrow screens are left to
+   * the stylesheet, which stretches them across the bottom of the screen.
+   */
+  apply() {
+    const { style } = this.element;
+    if (this.isFixedLayout()) {
+      style.left = style.right = style.top = style.bottom = '';
+      return;
+    }
+
+    const { horizontal, vertical } = this.position;
+    const x = Math.min(this.position.x, Math.max(0, window.innerWidth - NotificationPlacement.MIN_VISIBLE));
+    const y = Math.min(this.position.y, Math.max(0, window.innerHeight - NotificationPlacement.MIN_VISIBLE));
+
+    style[horizontal] = `${x}px`;
+    style[horizontal === 'left' ? 'right' : 'left'] = 'auto';
+    style[vertical] = `${y}px`;
+    style[vertical === 'top' ? 'bottom' : 'top'] = 'auto';
+
+    // Side tabs are styled by the edge they touch.
+    this.element.dataset.edge = horizontal;
+  }
+
+  /**
+   * Lets the user drag the notification. A press that moves less than `DRAG_THRESHOLD`
+   * pixels is left alone, so its buttons still get their clicks.
+   *
+   * @param {function(Object): void} onMove - Called with the new position after each drag
+   */
+  enableDragging(onMove) {
+    this.element.addEventListener('pointerdown', (event) => {
+      // A new press is never the click that ended the last drag.
+      this.unblockClick();
+      if (event.button !== 0 || this.isFixedLayout()) return;
+
+      const rect = this.element.getBoundingClientRect();
+      this.pointerStart = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, left: rect.left, top: rect.top };
+    });
+
+    this.element.addEventListener('pointermove', (event) => {
+      const start = this.pointerStart;
+      if (!start || event.pointerId !== start.pointerId) return;
+
+      const dx = event.clientX - start.x;
+      const dy = event.clientY - start.y;
+      if (!this.isDragging) {
+        if (Math.hypot(dx, dy) < NotificationPlacement.DRAG_THRESHOLD) return;
+
+        this.isDragging = true;
+        this.element.setPointerCapture(event.pointerId);
+        this.element.classList.add('chaching-dragging');
+      }
+
+      const { width, height } = this.element.getBoundingClientRect();
+      const { style } = this.element;
+      style.left = `${NotificationPlacement.clamp(start.left + dx, 0, window.innerWidth - width)}px`;
+      style.top = `${NotificationPlacement.clamp(start.top + dy, 0, window.innerHeight - height)}px`;
+      style.right = style.bottom = 'auto';
+    });
+
+    const endDrag = (event) => {
+      if (!this.pointerStart || event.pointerId !== this.pointerStart.pointerId) return;
+      this.pointerStart = null;
+      if (!this.isDragging) return;
+
+      this.isDragging = false;
+      this.element.classList.remove('chaching-dragging');
+
+      // A cancelled pointer (a touch turned into a scroll, say) is never followed by a click.
+      if (event.type === 'pointerup') {
+        this.blockNextClick();
+      }
+
+      this.position = NotificationPlacement.fromRect(this.element.getBoundingClientRect(), this.mode);
+      this.apply();
+      onMove(this.position);
+    };
+
+    this.element.addEventListener('pointerup', endDrag);
+    this.element.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Swallows the click the browser fires after a drag ends, which isn't a click on
+   * whatever is under the pointer. Browsers don't always fire it (touch drags usually
+   * don't), so the blocker is dropped after `CLICK_BLOCK_TIMEOUT` ms rather than left
+   * to eat the user's next real click.
+   */
+  blockNextClick() {
+    this.unblockClick();
+
+    this.clickBlocker = (click) => {
+      click.stopImmediatePropagation();
+      click.preventDefault();
+      this.unblockClick();
+    };
+    this.element.addEventListener('click', this.clickBlocker, { capture: true });
+    this.clickBlockerTimeoutId = setTimeout(() => this.unblockClick(), NotificationPlacement.CLICK_BLOCK_TIMEOUT);
+  }
+
+  /**
+   * Removes the blocker added by blockNextClick(), if it is still there.
+   */
+  unblockClick() {
+    if (!this.clickBlocker) return;
+
+    this.element.removeEventListener('click', this.clickBlocker, { capture: true });
+    clearTimeout(this.clickBlockerTimeoutId);
+    this.clickBlocker = null;
+    this.clickBlockerTimeoutId = null;
+  }
+
+  /**
+   * Whether the stylesheet places the notification on its own: full cards on screens
+   * narrower than `NARROW_VIEWPORT`.
+   * @returns {boolean} True if the notification can't be positioned or dragged
+   */
+  isFixedLayout() {
+    return this.mode === 'card' && window.innerWidth <= NotificationPlacement.NARROW_VIEWPORT;
+  }
+
+  /**
+   * Anchors a notification's on-screen rectangle to the nearest viewport corner.
+   * @param {DOMRect} rect - The notification's bounding rectangle
+   * @param {string} mode - The notification mode
+   * @returns {{horizontal: string, x: number, vertical: string, y: number}} The position
+   */
+  static fromRect(rect, mode) {
+    const horizontal = rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right';
+    const vertical = rect.top + rect.height / 2 < window.innerHeight / 2 ? 'top' : 'bottom';
+
+    return NotificationPlacement.normalize({
+      horizontal,
+      x: horizontal === 'left' ? rect.left : window.innerWidth - rect.right,
+      vertical,
+      y: vertical === 'top' ? rect.top : window.innerHeight - rect.bottom
+    }, mode);
+  }
+
+  /**
+   * Checks a saved position, falling back to the mode's default if it is missing or
+   * malformed.
+   * @param {*} position - The saved position
+   * @param {string} mode - The notification mode
+   * @returns {{horizontal: string, x: number, vertical: string, y: number}} A valid position
+   */
+  static normalize(position, mode) {
+    const isValid = position &&
+      ['left', 'right'].includes(position.horizontal) && Number.isFinite(position.x) &&
+      ['top', 'bottom'].includes(position.vertical) && Number.isFinite(position.y);
+    const { horizontal, x, vertical, y } = isValid ? position : NotificationPlacement.DEFAULT_POSITIONS[mode];
+
+    return {
+      horizontal,
+      x: mode === 'tab' ? 0 : Math.max(0, Math.round(x)),
+      vertical,
+      y: Math.max(0, Math.round(y))
+    };
+  }
+
+  /**
+   * Limits a number to a range; the minimum wins if the range is empty.
+   * @param {number} value - The number
+   * @param {number} min - The smallest allowed value
+   * @param {number} max - The largest allowed value
+   * @returns {number} The limited number
+   */
+  static clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  }
+}
+
+/**
+ * Where each mode appears until the user drags it on a site.
+ * @type {Object<string, {horizontal: string, x: number, vertical: string, y: number}>}
+ */
+NotificationPlacement.DEFAULT_POSITIONS = {
+  card: { horizontal: 'right', x: 30, vertical: 'bottom', y: 30 },
+  badge: { horizontal: 'right', x: 24, vertical: 'bottom', y: 24 },
+  tab: { horizontal: 'right', x: 0, vertical: 'bottom', y: 160 }
+};
+
+/**
+ * How far the pointer must move, in pixels, before a press becomes a drag.
+ * @type {number}
+ */
+NotificationPlacement.DRAG_THRESHOLD = 5;
+
+/**
+ * How long after a drag ends its click is still swallowed, in milliseconds. Browsers
+ * fire it straight after `pointerup`.
+ * @type {number}
+ */
+NotificationPlacement.CLICK_BLOCK_TIMEOUT = 250;
+
+/**
+ * How much of the notification, in pixels, stays on screen when a saved position is
+ * restored in a smaller window.
+ * @type {number}
+ */
+NotificationPlacement.MIN_VISIBLE = 64;
+
+/**
+ * The widest viewport, in pixels, on which full cards use the stylesheet's mobile layout.
+ * Matches the `max-width` media query in styles.css.
+ * @type {number}
+ */
+NotificationPlacement.NARROW_VIEWPORT = 550;
+
+// Export the placement class for use in main.js
+if (typeof window !== 'undefined') {
+  window.NotificationPlacement = NotificationPlacement;
+}
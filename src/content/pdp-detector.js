@@ -8,8 +8,16 @@
  * 
  * Detection Process:
  * 1. Check for action buttons (required) - if not found, immediately return false
- * 2. Calculate confidence score from other signals (0-180 possible points)
- * 3. Return true if score >= 75 points
+ * 2. Calculate confidence score from other signals (0-190 possible points with default weights)
+ * 3. Return true if score >= the threshold (75 points by default)
+ *
+ * Configuration:
+ * The threshold and the per-signal weights can be overridden without a code change.
+ * The content script passes the user's `minConfidence` and `pdpSignalWeights`
+ * preferences to configure():
+ * ```javascript
+ * const detector = new PdpDetector({ threshold: 60, weights: { hasReviews: 30 } });
+ * ```
  *
  * Troubleshooting:
  * Use the debugDetection() method in the console to see detailed results:
@@ -25,7 +33,7 @@
  * The PdpDetector class encapsulates all logic for detecting product detail pages.
  * It uses a confidence scoring system with action buttons as a mandatory requirement.
  * 
- * Scoring System:
+ * Scoring System (default weights, see PdpDetector.DEFAULT_WEIGHTS):
  * - Structured Data with offer: 40 points (very high confidence)
  * - Price found: 25 points (high confidence)
  * - Product URL pattern: 25 points (high confidence)  
@@ -37,32 +45,33 @@
  * - Product metadata (SKU, etc): 10 points (low confidence)
  * - Product selectors (size/color): 10 points (low confidence)
  * 
- * Total possible: 180 points (requires 75+ to be considered a PDP)
+ * Total possible: 190 points (requires 75+ by default to be considered a PDP)
  * 
  * @class PdpDetector
  */
 class PdpDetector {
-  constructor() {
+  /**
+   * @param {Object} [config] - Optional scoring configuration, see configure()
+   */
+  constructor(config = {}) {
+    /**
+     * The score a page must reach to be considered a PDP.
+     * @type {number}
+     */
+    this.threshold = PdpDetector.DEFAULT_THRESHOLD;
+
+    /**
+     * Points awarded for each signal, keyed by signal name.
+     * @type {Object<string, number>}
+     */
+    this.weights = { ...PdpDetector.DEFAULT_WEIGHTS };
+
     /**
      * A comprehensive dictionary of keywords, patterns, and selectors that serve as
      * indicators for different page elements. This is the "knowledge base" of the detector.
      * @type {Object}
      */
     this.indicators = {
-      // Price-related patterns, covering various currencies and formats.
-      pricePatterns: [
-        /\$\s*[\d,]+\.?\d*/,     // USD: $99.99
-        /€\s*[\d,]+\.?\d*/,      // EUR: €99.99
-        /£\s*[\d,]+\.?\d*/,      // GBP: £99.99
-        /¥\s*[\d,]+\.?\d*/,      // JPY/CNY: ¥999
-        /₹\s*[\d,]+\.?\d*/,      // INR: ₹999
-        /R\$\s*[\d,]+\.?\d*/,    // BRL: R$99.99
-        /\d+\.\d{2}\s*(USD|EUR|GBP|CAD|AUD)/, // e.g., 99.99 USD
-        /price[:\s]+[\d,]+\.?\d*/i, // "Price: 99.99"
-        /cost[:\s]+[\d,]+\.?\d*/i,
-        /msrp[:\s]+[\d,]+\.?\d*/i
-      ],
-
       // Keywords found in interactive elements that signal e-commerce functionality.
       actionButtons: [
         'add to cart', 'add to basket', 'add to bag', 'buy now', 'buy it now',
@@ -98,6 +107,34 @@ class PdpDetector {
       // Structured Data types (from Schema.org) that are strong PDP signals.
       structuredDataTypes: ['Product', 'Offer', 'AggregateRating', 'Review']
     };
+
+    this.configure(config);
+  }
+
+  /**
+   * Overrides the scoring threshold and/or signal weights.
+   * Invalid values (non-numeric, negative, unknown signal names) are ignored so a bad
+   * stored preference can never break detection.
+   *
+   * @param {Object} config - Scoring configuration
+   * @param {number} [config.threshold] - Score required to be considered a PDP
+   * @param {Object<string, number>} [config.weights] - Points per signal, e.g. `{ hasPrice: 30 }`.
+   *   Signals that are not listed keep their default weight.
+   */
+  configure({ threshold, weights } = {}) {
+    if (Number.isFinite(threshold) && threshold >= 0) {
+      this.threshold = threshold;
+    }
+
+    if (weights && typeof weights === 'object') {
+      // Start from the defaults so removed overrides don't linger on reconfiguration.
+      this.weights = { ...PdpDetector.DEFAULT_WEIGHTS };
+      for (const [signal, weight] of Object.entries(weights)) {
+        if (signal in PdpDetector.DEFAULT_WEIGHTS && Number.isFinite(weight) && weight >= 0) {
+          this.weights[signal] = weight;
+        }
+      }
+    }
   }
 
   /**
@@ -105,138 +142,121 @@ class PdpDetector {
    * 
    * Requirements:
    * 1. MUST have action buttons (add to cart, buy now, etc.)
-   * 2. MUST accumulate at least 75 confidence points from other signals
+   * 2. MUST accumulate at least `this.threshold` confidence points from other signals
+   *
+   * The full breakdown is returned (not just the verdict) so the popup can show
+   * why a page was or wasn't classified as a PDP.
    *
-   * @returns {boolean} True if both requirements are met, false otherwise
+   * @param {Object} [product] - The page's product model, from StructuredDataReader.read()
+   * @returns {Object} Object with properties:
+   *   - isProductPage {boolean} True if both requirements are met
+   *   - score {number} The accumulated confidence score
+   *   - threshold {number} The score required to be considered a PDP
+   *   - signals {Object} Each signal name (hasPrice, hasReviews, ...) mapped to whether it was found
+   *   - points {Object} Each found signal mapped to the points it contributed
+   *   - reason {string|null} Why the page was rejected ('no_action_buttons', 'below_threshold'), or null
+   *   - price {Object|null} The product's price from PriceExtractor, when the page has action buttons
    */
-  isProductPage() {
+  isProductPage(product = new StructuredDataReader().read()) {
+    const threshold = this.threshold;
+
     // REQUIREMENT 1: Must have action buttons (add to cart, buy now, etc.)
-    const hasActionButtons = this.detectActionButtons();
-    if (!hasActionButtons) {
+    const hasActionButton = this.detectActionButtons();
+    if (!hasActionButton) {
       ChachingUtils.log('info', 'PdpDetector', 'No action buttons found - not a PDP');
-      return false;
+      return {
+        isProductPage: false,
+        score: 0,
+        threshold,
+        signals: { hasActionButton },
+        points: {},
+        reason: 'no_action_buttons',
+        price: null
+      };
     }
     
     // REQUIREMENT 2: Calculate confidence score from other signals
-    let confidenceScore = 0;
-    const signals = {};
-    
-    // Check for structured data (very high confidence)
-    const structuredData = this.detectStructuredData();
-    if (structuredData.found && structuredData.hasOffer) {
-      confidenceScore += 40;
-      signals.structuredData = true;
-    }
-    
-    // Check for price (high confidence)
-    if (this.detectPrice().found) {
-      confidenceScore += 25;
-      signals.price = true;
-    }
+    const price = this.detectPrice(product);
+    const signals = { hasActionButton, ...this.collectSignals(product, price) };
+    const { score, points } = this.calculateScore(signals);
     
-    // Check for product images (medium confidence)
-    if (this.detectProductImages()) {
-      confidenceScore += 20;
-      signals.productImages = true;
-    }
-    
-    // Check for product URL pattern (medium-high confidence)
-    if (this.detectProductUrlPattern()) {
-      confidenceScore += 25;
-      signals.productUrl = true;
-    }
+    // Need at least `threshold` points of confidence
+    const isPDP = score >= threshold;
     
-    // Check for reviews (medium confidence)
-    if (this.detectReviews()) {
-      confidenceScore += 15;
-      signals.reviews = true;
-    }
-    
-    // Check for product description (low-medium confidence)
-    if (this.detectProductDescription()) {
-      confidenceScore += 15;
-      signals.description = true;
-    }
-    
-    // Check for product metadata like SKU, availability (low confidence)
-    if (this.detectProductMetadata()) {
-      confidenceScore += 10;
-      signals.metadata = true;
-    }
-    
-    // Check for product selectors (size, color, etc.) (low confidence)
-    if (this.detectProductSelectors()) {
-      confidenceScore += 10;
-      signals.selectors = true;
-    }
-    
-    // Check for breadcrumbs (medium confidence)
-    if (this.detectBreadcrumbs()) {
-      confidenceScore += 15;
-      signals.breadcrumbs = true;
-    }
-    
-    // Check for shipping/delivery information (medium confidence)
-    if (this.detectShippingInfo()) {
-      confidenceScore += 15;
-      signals.shippingInfo = true;
-    }
-    
-    // Need at least 75 points of confidence
-    const isPDP = confidenceScore >= 75;
-    
-    ChachingUtils.log('info', 'PdpDetector', `PDP detection: ${isPDP} (score: ${confidenceScore})`, {
-      hasActionButtons,
+    ChachingUtils.log('info', 'PdpDetector', `PDP detection: ${isPDP} (score: ${score})`, {
       signals,
-      confidenceScore
+      points,
+      score
     });
     
-    return isPDP;
+    return {
+      isProductPage: isPDP,
+      score,
+      threshold,
+      signals,
+      points,
+      reason: isPDP ? null : 'below_threshold',
+      price: price.price
+    };
   }
 
   /**
-   * Detects price information on the page by searching for currency patterns
-   * in both the page text and meta tags.
+   * Runs every scoring check (everything except the action button requirement).
    *
-   * @returns {Object} Object with properties:
-   *   - found {boolean} Whether a price was detected
-   *   - price {string} The price string if found
-   *   - currency {string} The detected currency code (USD, EUR, etc.)
+   * @param {Object} product - The page's product model, from StructuredDataReader.read()
+   * @param {Object} [price] - The result of detectPrice(), if the caller already has it
+   * @returns {Object} Each signal name mapped to a boolean indicating whether it was found
    */
-  detectPrice() {
-    const pageText = document.body.innerText;
-    
-    for (const pattern of this.indicators.pricePatterns) {
-      const match = pageText.match(pattern);
-      if (match) {
-        // Attempt to extract the currency symbol for more accurate data.
-        let currency = 'USD'; // Default currency
-        if (match[0].includes('$')) currency = 'USD';
-        else if (match[0].includes('€')) currency = 'EUR';
-        else if (match[0].includes('£')) currency = 'GBP';
-        else if (match[0].includes('¥')) currency = 'JPY';
-        else if (match[0].includes('₹')) currency = 'INR';
-        else if (match[0].includes('R$')) currency = 'BRL';
-        
-        return { found: true, price: match[0], currency: currency };
-      }
-    }
+  collectSignals(product, price = this.detectPrice(product)) {
+    const structuredData = this.detectStructuredData(product);
 
-    // As a fallback, check for price information in common e-commerce meta tags.
-    const priceMetaTags = [
-      'meta[property="product:price:amount"]',
-      'meta[property="og:price:amount"]',
-      'meta[itemprop="price"]'
-    ];
+    return {
+      hasStructuredData: structuredData.found && structuredData.hasOffer,
+      hasPrice: price.found,
+      hasProductImage: this.detectProductImages(),
+      hasProductUrl: this.detectProductUrlPattern(),
+      hasReviews: this.detectReviews(),
+      hasDescription: this.detectProductDescription(),
+      hasMetadata: this.detectProductMetadata(),
+      hasSelectors: this.detectProductSelectors(),
+      hasBreadcrumb: this.detectBreadcrumbs(),
+      hasShippingInfo: this.detectShippingInfo()
+    };
+  }
 
-    for (const selector of priceMetaTags) {
-      const metaTag = document.querySelector(selector);
-      if (metaTag && metaTag.content) {
-        return { found: true, price: metaTag.content, currency: this.getCurrencyFromMeta() };
+  /**
+   * Converts a set of detected signals into a confidence score.
+   *
+   * @param {Object} signals - Signal names mapped to booleans, as returned by collectSignals()
+   * @returns {Object} Object with properties:
+   *   - score {number} The total confidence score
+   *   - points {Object} Each found signal mapped to the points it contributed
+   */
+  calculateScore(signals) {
+    let score = 0;
+    const points = {};
+    for (const [signal, weight] of Object.entries(this.weights)) {
+      if (signals[signal]) {
+        score += weight;
+        points[signal] = weight;
       }
     }
 
-    return { found: false };
+    return { score, points };
+  }
+
+  /**
+   * Detects the product's price with PriceExtractor, which reads structured data, meta
+   * tags and the price shown next to the product title.
+   *
+   * @param {Object} product - The page's product model, from StructuredDataReader.read()
+   * @returns {Object} Object with properties:
+   *   - found {boolean} Whether a price was detected
+   *   - price {Object|null} The price (`amount`, `currency`, `original`, `source`), see PriceExtractor.extract()
+   */
+  detectPrice(product) {
+    const price = new PriceExtractor().extract(product);
+    return { found: price !== null, price };
   }
 
   /**
@@ -364,17 +384,6 @@ class PdpDetector {
     return false;
   }
 
-  /**
-   * Helper function to extract currency from meta tags.
-   * Checks product:price:currency and og:price:currency meta properties.
-   *
-   * @returns {string} Currency code (e.g., "USD", "EUR"), defaults to "USD"
-   */
-  getCurrencyFromMeta() {
-    const currencyMeta = document.querySelector('meta[property="product:price:currency"], meta[property="og:price:currency"]');
-    return currencyMeta?.content || 'USD'; // Default to USD if not found.
-  }
-  
   /**
    * Detects product variant selectors that allow customization.
    * Searches for: size selectors, color selectors, quantity inputs,
@@ -550,6 +559,7 @@ class PdpDetector {
    * @returns {Object} Detailed breakdown of all detection results
    */
   debugDetection() {
+    const product = new StructuredDataReader().read();
     const results = {
       url: window.location.href,
       actionButtons: {
@@ -557,8 +567,8 @@ class PdpDetector {
         pageText: document.body?.innerText?.substring(0, 500) || 'No page text'
       },
       scoring: {
-        structuredData: this.detectStructuredData(),
-        price: this.detectPrice(),
+        structuredData: this.detectStructuredData(product),
+        price: this.detectPrice(product),
         images: this.detectProductImages(),
         urlPattern: this.detectProductUrlPattern(),
         reviews: this.detectReviews(),
@@ -569,20 +579,25 @@ class PdpDetector {
         shipping: this.detectShippingInfo()
       },
       totalScore: 0,
-      threshold: 75
+      threshold: this.threshold,
+      weights: { ...this.weights }
     };
     
-    // Calculate score
-    if (results.scoring.structuredData.found && results.scoring.structuredData.hasOffer) results.totalScore += 40;
-    if (results.scoring.price.found) results.totalScore += 25;
-    if (results.scoring.images) results.totalScore += 20;
-    if (results.scoring.urlPattern) results.totalScore += 25;
-    if (results.scoring.reviews) results.totalScore += 15;
-    if (results.scoring.description) results.totalScore += 15;
-    if (results.scoring.metadata) results.totalScore += 10;
-    if (results.scoring.selectors) results.totalScore += 10;
-    if (results.scoring.breadcrumbs) results.totalScore += 15;
-    if (results.scoring.shipping) results.totalScore += 15;
+    // Calculate score using the same weights as isProductPage()
+    const { score, points } = this.calculateScore({
+      hasStructuredData: results.scoring.structuredData.found && results.scoring.structuredData.hasOffer,
+      hasPrice: results.scoring.price.found,
+      hasProductImage: results.scoring.images,
+      hasProductUrl: results.scoring.urlPattern,
+      hasReviews: results.scoring.reviews,
+      hasDescription: results.scoring.description,
+      hasMetadata: results.scoring.metadata,
+      hasSelectors: results.scoring.selectors,
+      hasBreadcrumb: results.scoring.breadcrumbs,
+      hasShippingInfo: results.scoring.shipping
+    });
+    results.totalScore = score;
+    results.points = points;
     
     results.isPDP = results.actionButtons.found && results.totalScore >= results.threshold;
     
@@ -590,58 +605,51 @@ class PdpDetector {
   }
   
   /**
-   * Detects structured data (JSON-LD) for Product schema with offers.
+   * Checks the page's structured data (JSON-LD, microdata or RDFa) for a product with offers.
    * This is the most reliable signal for product pages.
-   * 
+   *
+   * @param {Object} product - The page's product model, from StructuredDataReader.read()
    * @returns {Object} Object with properties:
-   *   - found {boolean} Whether Product schema was found
-   *   - hasOffer {boolean} Whether the product has offer/price information
-   *   - productName {string} The product name if found
-   *   - brand {string} The brand name if found
-   *   - price {string|number} The product price if found
+   *   - found {boolean} Whether a Product or ProductGroup was found
+   *   - hasOffer {boolean} Whether the product has offers
+   *   - productName {string|null} The product name if found
+   *   - brand {string|null} The brand name if found
+   *   - price {number|null} The first offer's price if found
    */
-  detectStructuredData() {
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-    
-    for (const script of scripts) {
-      try {
-        const data = JSON.parse(script.textContent);
-        
-        // Check if it's a Product with an offer
-        if (data['@type'] === 'Product' && data.offers) {
-          return {
-            found: true,
-            hasOffer: true,
-            productName: data.name,
-            brand: data.brand?.name || data.brand,
-            price: data.offers?.price
-          };
-        }
-        
-        // Check in @graph
-        if (Array.isArray(data['@graph'])) {
-          const product = data['@graph'].find(item => 
-            item['@type'] === 'Product' && item.offers
-          );
-          if (product) {
-            return {
-              found: true,
-              hasOffer: true,
-              productName: product.name,
-              brand: product.brand?.name || product.brand,
-              price: product.offers?.price
-            };
-          }
-        }
-      } catch (e) {
-        // Invalid JSON, continue
-      }
-    }
-    
-    return { found: false, hasOffer: false };
+  detectStructuredData(product) {
+    return {
+      found: product.found,
+      hasOffer: product.offers.length > 0,
+      productName: product.name,
+      brand: product.brand,
+      price: product.offers.find(offer => offer.amount !== null)?.amount ?? null
+    };
   }
 }
 
+/**
+ * The default score a page must reach to be considered a PDP.
+ * @type {number}
+ */
+PdpDetector.DEFAULT_THRESHOLD = 75;
+
+/**
+ * The default points awarded for each signal found on the page.
+ * @type {Object<string, number>}
+ */
+PdpDetector.DEFAULT_WEIGHTS = Object.freeze({
+  hasStructuredData: 40, // very high confidence
+  hasPrice: 25,          // high confidence
+  hasProductImage: 20,   // medium confidence
+  hasProductUrl: 25,     // medium-high confidence
+  hasReviews: 15,        // medium confidence
+  hasDescription: 15,    // low-medium confidence
+  hasMetadata: 10,       // low confidence
+  hasSelectors: 10,      // low confidence
+  hasBreadcrumb: 15,     // medium confidence
+  hasShippingInfo: 15    // medium confidence
+});
+
 // Export the detector class instance for use in content.js
 if (typeof window !== 'undefined') {
   window.PdpDetector = PdpDetector;
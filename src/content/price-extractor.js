@@ -0,0 +1,421 @@
+/**
+ * @file src/content/price-extractor.js
+ * @description Finds the product's price on a product page.
+ *
+ * Prices are read from the most trustworthy source the page offers:
+ * 1. The product's offers in its JSON-LD, microdata or RDFa (see StructuredDataReader)
+ * 2. Product meta tags (`product:price:amount`, `og:price:amount`, `product:sale_price:amount`)
+ * 3. Visible price elements near the product title
+ *
+ * Visible prices are only looked for around the page's `<h1>`, never in headers, footers or
+ * promotion banners, so "Free shipping over $50" and "$10 off" are not taken for the price.
+ * Amounts are parsed whatever the decimal separator ("1.299,00 €", "$1,299.00", "CHF 1'299.50").
+ * When a struck-through or "compare at" price sits next to the current one, it is reported
+ * as the `original` price.
+ *
+ * ```javascript
+ * new PriceExtractor().extract(new StructuredDataReader().read());
+ * // { amount: 79.99, currency: "USD", original: 99.99, source: "json-ld" }
+ * ```
+ *
+ * @version 1.0.0
+ */
+class PriceExtractor {
+  /**
+   * Finds the product's price.
+   *
+   * @param {Object} [product] - The page's product model, from StructuredDataReader.read()
+   * @returns {{amount: number, currency: string|null, original: number|null, source: string}|null}
+   *   The current `amount`, its ISO 4217 `currency` (null if the page doesn't say), the
+   *   `original` list price if the product is on sale, and the `source` it was read from
+   *   ("json-ld", "microdata", "rdfa", "meta" or "page"); or null if no price was found.
+   */
+  extract(product = new StructuredDataReader().read()) {
+    const readers = [
+      ['structured data', () => this.readStructuredData(product)],
+      ['meta tags', () => this.readMeta()],
+      ['the page', () => this.readPriceElements()]
+    ];
+
+    for (const [description, read] of readers) {
+      let price;
+      try {
+        price = read();
+      } catch (error) {
+        ChachingUtils.log('warn', 'PriceExtractor', `Failed to read prices from ${description}.`, error);
+        continue;
+      }
+      if (!price) continue;
+
+      // Structured data rarely carries the list price; the page often shows it struck through.
+      if (price.original === null && price.source !== 'page') {
+        const visible = this.readPriceElements();
+        if (visible?.original !== null && visible?.amount === price.amount) {
+          price.original = visible.original;
+        }
+      }
+
+      return {
+        amount: price.amount,
+        currency: price.currency || this.readMetaCurrency(),
+        original: price.original !== null && price.original > price.amount ? price.original : null,
+        source: price.source
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reads the price from the first priced offer in the page's structured data.
+   * @param {Object} product - The product model from StructuredDataReader.read()
+   * @returns {{amount: number, currency: string|null, original: number|null, source: string}|null} The price
+   */
+  readStructuredData(product) {
+    const offer = product.offers.find(candidate => candidate.amount !== null);
+    if (!offer) return null;
+    return { amount: offer.amount, currency: offer.currency, original: offer.original, source: offer.source };
+  }
+
+  /**
+   * Reads the price from Open Graph product meta tags.
+   * @returns {{amount: number, currency: string|null, original: number|null, source: string}|null} The price
+   */
+  readMeta() {
+    const metaAmount = (selector) => PriceExtractor.parseAmount(document.querySelector(selector)?.content, true);
+
+    const price = metaAmount('meta[property="product:price:amount"], meta[property="og:price:amount"]');
+    const salePrice = metaAmount('meta[property="product:sale_price:amount"]');
+    const originalPrice = metaAmount('meta[property="product:original_price:amount"]');
+
+    if (salePrice !== null) {
+      return { amount: salePrice, currency: null, original: originalPrice ?? price, source: 'meta' };
+    }
+    if (price !== null) {
+      return { amount: price, currency: null, original: originalPrice, source: 'meta' };
+    }
+    return null;
+  }
+
+  /**
+   * Reads the currency from Open Graph product meta tags.
+   * @returns {string|null} The ISO 4217 code, or null if the page doesn't say
+   */
+  readMetaCurrency() {
+    const currencyMeta = document.querySelector(
+      'meta[property="product:price:currency"], meta[property="og:price:currency"], meta[property="product:sale_price:currency"]'
+    );
+    return PriceExtractor.normalizeCurrency(currencyMeta?.content);
+  }
+
+  /**
+   * Reads the price shown next to the product title, and the struck-through list price
+   * beside it if there is one.
+   * @returns {{amount: number, currency: string|null, original: number|null, source: string}|null} The price
+   */
+  readPriceElements() {
+    const area = this.findProductArea();
+    let current = null;
+    const originals = [];
+
+    // Struck-through prices may sit outside any price element, e.g. in a "price-box" wrapper.
+    for (const element of area.querySelectorAll('del, s, strike')) {
+      if (element.closest(PriceExtractor.IGNORED_CONTAINER_SELECTOR)) continue;
+      const price = PriceExtractor.parsePriceText(element.textContent);
+      if (price) originals.push({ element, price });
+    }
+
+    for (const element of area.querySelectorAll(PriceExtractor.PRICE_SELECTOR)) {
+      if (element.closest(PriceExtractor.IGNORED_CONTAINER_SELECTOR)) continue;
+      // Wrappers such as "price-box" are read through the price elements inside them.
+      if (element.querySelector(PriceExtractor.PRICE_SELECTOR)) continue;
+
+      const price = this.readPriceElement(element);
+      if (!price) continue;
+
+      if (this.isOriginalPriceElement(element)) {
+        originals.push({ element, price });
+      } else if (!current) {
+        current = { element, price };
+      }
+    }
+
+    if (!current) return null;
+
+    // Only a list price in the same price block counts, not one from a related product.
+    const block = current.element.parentElement?.parentElement?.parentElement || current.element;
+    const original = originals.find(candidate =>
+      block.contains(candidate.element) && candidate.price.amount > current.price.amount
+    );
+
+    return {
+      amount: current.price.amount,
+      currency: current.price.currency,
+      original: original ? original.price.amount : null,
+      source: 'page'
+    };
+  }
+
+  /**
+   * Reads a price element's own price, leaving out any struck-through price inside it, as
+   * in `<span class="price"><del>$50</del> $40</span>`.
+   * @param {Element} element - The price element
+   * @returns {{amount: number, currency: string|null}|null} The price from parsePriceText()
+   */
+  readPriceElement(element) {
+    if (!element.querySelector('del, s, strike')) {
+      return PriceExtractor.parsePriceText(element.textContent);
+    }
+
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('del, s, strike').forEach(node => node.remove());
+    return PriceExtractor.parsePriceText(clone.textContent);
+  }
+
+  /**
+   * Checks whether a price element shows a list price rather than the current price.
+   * @param {Element} element - The price element
+   * @returns {boolean} True for struck-through, "was" and "compare at" prices
+   */
+  isOriginalPriceElement(element) {
+    if (element.closest(PriceExtractor.ORIGINAL_PRICE_SELECTOR)) return true;
+
+    const decoration = window.getComputedStyle(element).textDecorationLine || '';
+    return decoration.includes('line-through');
+  }
+
+  /**
+   * Finds the part of the page describing the product: the closest ancestor of the `<h1>`
+   * that contains a price element, else `<main>`, else the whole body.
+   * @returns {Element} The product area
+   */
+  findProductArea() {
+    let node = document.querySelector('h1');
+    while (node && node !== document.body) {
+      if (node.querySelector(PriceExtractor.PRICE_SELECTOR)) return node;
+      node = node.parentElement;
+    }
+    return document.querySelector('main') || document.body;
+  }
+
+  /**
+   * Finds the first price in a piece of text. Only amounts with a currency symbol or
+   * code count, so product numbers and quantities are not taken for prices.
+   *
+   * @param {string} text - The text, e.g. "Now 1.299,00 €"
+   * @returns {{amount: number, currency: string|null}|null} The price, or null if there is none
+   */
+  static parsePriceText(text) {
+    if (!text) return null;
+
+    const match = text.replace(/[ \t\r\n]+/g, ' ').match(PriceExtractor.getPriceTextPattern());
+    if (!match) return null;
+
+    const [, symbolBefore, numberBefore, numberAfter, symbolAfter] = match;
+    const amount = PriceExtractor.parseAmount(numberBefore ?? numberAfter);
+    if (amount === null) return null;
+
+    return { amount, currency: PriceExtractor.getCurrencyForSymbol(symbolBefore ?? symbolAfter) };
+  }
+
+  /**
+   * Parses an amount, whatever its thousands and decimal separators.
+   *
+   * When both "." and "," appear, the last one is the decimal separator. When only one
+   * appears, it is a thousands separator if it appears more than once or is followed by
+   * exactly three digits ("1,299", "1.299"), and a decimal separator otherwise ("12,99").
+   *
+   * @param {string|number} value - The amount, e.g. "1.299,00", "$1,299" or 1299
+   * @param {boolean} [machineReadable=false] - Whether the value comes from structured data,
+   *   where "1.299" means one point two nine nine
+   * @returns {number|null} The amount, or null if it isn't a valid non-negative number
+   */
+  static parseAmount(value, machineReadable = false) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    if (machineReadable && /^\s*\d+(\.\d+)?\s*$/.test(value)) {
+      return parseFloat(value);
+    }
+
+    const digits = value.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(digits)) return null;
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let decimalIndex = -1;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimalIndex = Math.max(lastDot, lastComma);
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const index = Math.max(lastDot, lastComma);
+      const isThousands = digits.indexOf(separator) !== index || digits.length - index - 1 === 3;
+      decimalIndex = isThousands ? -1 : index;
+    }
+
+    const integer = (decimalIndex === -1 ? digits : digits.slice(0, decimalIndex)).replace(/[.,]/g, '');
+    const fraction = decimalIndex === -1 ? '' : digits.slice(decimalIndex + 1);
+    const amount = Number(`${integer || '0'}.${fraction || '0'}`);
+
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * Turns a currency as a page declares it into an ISO 4217 code. Pages often put a symbol
+   * where the code belongs (`"priceCurrency": "$"`), which is mapped with
+   * getCurrencyForSymbol(); anything else that isn't three letters is dropped, since
+   * `Intl.NumberFormat` throws on it.
+   *
+   * @param {string|null|undefined} value - The declared currency, e.g. "usd", "$" or "€"
+   * @returns {string|null} The ISO 4217 code, or null if there is none
+   */
+  static normalizeCurrency(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return null;
+
+    const code = text.toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : PriceExtractor.getCurrencyForSymbol(text);
+  }
+
+  /**
+   * Maps a currency symbol or code to its ISO 4217 code. A bare "$" or "¥" is resolved
+   * from the page's language and domain ("en-CA" or ".ca" means Canadian dollars).
+   *
+   * @param {string} symbol - The symbol or code, e.g. "€", "CA$" or "usd"
+   * @returns {string|null} The ISO 4217 code
+   */
+  static getCurrencyForSymbol(symbol) {
+    if (!symbol) return null;
+
+    const code = symbol.toUpperCase();
+    if (PriceExtractor.CURRENCY_CODES.includes(code)) return code;
+
+    const known = Object.keys(PriceExtractor.CURRENCY_SYMBOLS).find(key => key.toUpperCase() === code);
+    if (known) return PriceExtractor.CURRENCY_SYMBOLS[known];
+
+    const country = PriceExtractor.getPageCountry();
+    if (symbol === '$') return PriceExtractor.DOLLAR_CURRENCIES[country] || 'USD';
+    if (symbol === '¥') return country === 'CN' || document.documentElement.lang.startsWith('zh') ? 'CNY' : 'JPY';
+    return null;
+  }
+
+  /**
+   * Guesses the country a page is for, from its `lang` attribute ("en-CA") or its domain (".com.au").
+   * @returns {string|null} The ISO 3166 country code, e.g. "CA"
+   */
+  static getPageCountry() {
+    const langCountry = (document.documentElement.lang || '').split(/[-_]/)[1];
+    if (langCountry && /^[a-z]{2}$/i.test(langCountry)) return langCountry.toUpperCase();
+
+    const tld = window.location.hostname.split('.').pop();
+    return /^[a-z]{2}$/.test(tld) ? tld.toUpperCase() : null;
+  }
+
+  /**
+   * Builds the regular expression parsePriceText() uses: a currency symbol or code
+   * followed or preceded by an amount.
+   * @returns {RegExp} The pattern
+   */
+  static getPriceTextPattern() {
+    if (!PriceExtractor.priceTextPattern) {
+      const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // Longest first, so "CA$" wins over "$".
+      const symbols = [...Object.keys(PriceExtractor.CURRENCY_SYMBOLS), '$', '¥', ...PriceExtractor.CURRENCY_CODES]
+        .sort((a, b) => b.length - a.length)
+        .map(escape)
+        .join('|');
+      const number = "\\d{1,3}(?:[.,' \\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+
+      PriceExtractor.priceTextPattern = new RegExp(
+        `(?<![a-z])(?:(${symbols})\\s?(${number}))|(?:(${number})\\s?(${symbols}))(?![a-z])`,
+        'i'
+      );
+    }
+    return PriceExtractor.priceTextPattern;
+  }
+}
+
+/**
+ * Elements that show a price.
+ * @type {string}
+ */
+PriceExtractor.PRICE_SELECTOR = '[itemprop="price"], [data-price], [class*="price" i], [id*="price" i]';
+
+/**
+ * Price elements, or their containers, that show a list price rather than the current one.
+ * @type {string}
+ */
+PriceExtractor.ORIGINAL_PRICE_SELECTOR = [
+  'del', 's', 'strike',
+  '[class*="compare" i]', '[class*="original" i]', '[class*="list-price" i]', '[class*="regular" i]',
+  '[class*="was-price" i]', '[class*="price-was" i]', '[class*="old-price" i]', '[class*="strike" i]',
+  '[class*="msrp" i]'
+].join(', ');
+
+/**
+ * Containers whose prices are never the product's: site chrome and promotions.
+ * @type {string}
+ */
+PriceExtractor.IGNORED_CONTAINER_SELECTOR = [
+  'header', 'footer', 'nav', 'aside', '[role="banner"]',
+  '[class*="banner" i]', '[class*="promo" i]', '[class*="shipping" i]', '[class*="announcement" i]'
+].join(', ');
+
+/**
+ * ISO 4217 codes recognized in price text, e.g. "99.00 EUR".
+ * @type {string[]}
+ */
+PriceExtractor.CURRENCY_CODES = [
+  'USD', 'CAD', 'AUD', 'NZD', 'EUR', 'GBP', 'CHF', 'JPY', 'CNY', 'INR', 'BRL', 'MXN',
+  'SEK', 'NOK', 'DKK', 'PLN', 'SGD', 'HKD', 'KRW'
+];
+
+/**
+ * Currency symbols that name one currency.
+ * @type {Object<string, string>}
+ */
+PriceExtractor.CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  'S$': 'SGD',
+  'MX$': 'MXN',
+  'R$': 'BRL',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR',
+  '₩': 'KRW',
+  'zł': 'PLN'
+};
+
+/**
+ * The currency a bare "$" means in each country that writes it so.
+ * @type {Object<string, string>}
+ */
+PriceExtractor.DOLLAR_CURRENCIES = {
+  US: 'USD',
+  CA: 'CAD',
+  AU: 'AUD',
+  NZ: 'NZD',
+  SG: 'SGD',
+  HK: 'HKD',
+  MX: 'MXN'
+};
+
+/**
+ * The compiled pattern, see getPriceTextPattern().
+ * @type {RegExp|null}
+ */
+PriceExtractor.priceTextPattern = null;
+
+// Export the extractor class for use in pdp-detector.js
+if (typeof window !== 'undefined') {
+  window.PriceExtractor = PriceExtractor;
+}
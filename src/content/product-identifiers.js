@@ -0,0 +1,171 @@
+/**
+ * @file src/content/product-identifiers.js
+ * @description Finds the identifiers that name a product exactly: its GTIN (UPC, EAN or
+ * ISBN-13), the manufacturer part number (MPN), the store's SKU and the model number.
+ *
+ * Identifiers are read from the page's structured data first (see StructuredDataReader),
+ * then from labelled values on the page, such as "Model: WH-1000XM5", "UPC 194252707210"
+ * or a `<dt>MPN</dt><dd>CN8490-001</dd>` spec table. GTINs are only kept when their check
+ * digit is valid; other identifiers must contain a digit, so "Model: Classic" is ignored.
+ *
+ * ```javascript
+ * new ProductIdentifierExtractor().extract(new StructuredDataReader().read());
+ * // { gtin: "194252707210", mpn: "MQ2Y3LL/A", sku: "6525421", model: "A2849" }
+ * ```
+ *
+ * @version 1.0.0
+ */
+class ProductIdentifierExtractor {
+  /**
+   * Finds the product's identifiers.
+   *
+   * @param {Object} [product] - The page's product model, from StructuredDataReader.read()
+   * @returns {{gtin: string|null, mpn: string|null, sku: string|null, model: string|null}|null}
+   *   Each identifier, or null if it wasn't found; or null if none was found.
+   */
+  extract(product = new StructuredDataReader().read()) {
+    let labelled = null;
+    const identifiers = {};
+
+    for (const name of Object.keys(ProductIdentifierExtractor.LABELS)) {
+      identifiers[name] = ProductIdentifierExtractor.normalize(name, product.identifiers[name]);
+      if (identifiers[name]) continue;
+
+      // The page is only scanned when the structured data leaves something out.
+      if (!labelled) {
+        try {
+          labelled = this.readLabels();
+        } catch (error) {
+          ChachingUtils.log('warn', 'ProductIdentifiers', 'Failed to read labelled identifiers.', error);
+          labelled = {};
+        }
+      }
+      identifiers[name] = labelled[name] || null;
+    }
+
+    return Object.values(identifiers).some(Boolean) ? identifiers : null;
+  }
+
+  /**
+   * Reads identifiers from labelled values on the page: "Model: X" in one element, or a
+   * label followed by its value in the next element (`<dt>`/`<dd>`, `<th>`/`<td>`).
+   * @returns {Object<string, string>} The first valid value found for each identifier
+   */
+  readLabels() {
+    const found = {};
+    const patterns = ProductIdentifierExtractor.getLabelPatterns();
+
+    for (const element of document.body.querySelectorAll(ProductIdentifierExtractor.LABEL_SELECTOR)) {
+      if (element.closest(ProductIdentifierExtractor.IGNORED_CONTAINER_SELECTOR)) continue;
+
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      if (!text || text.length > ProductIdentifierExtractor.MAX_LABEL_LENGTH) continue;
+
+      for (const [name, pattern] of Object.entries(patterns)) {
+        if (found[name]) continue;
+
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        // A value in the same element ends at the first space: "Model: WH-1000XM5 Wireless".
+        const value = match[1]
+          ? match[1].split(' ')[0].replace(/[,;|]+$/, '')
+          : element.nextElementSibling?.textContent.trim();
+        const identifier = ProductIdentifierExtractor.normalize(name, value);
+        if (identifier) found[name] = identifier;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Cleans up and validates one identifier.
+   * @param {string} name - "gtin", "mpn", "sku" or "model"
+   * @param {string|null} value - The value as written on the page
+   * @returns {string|null} The identifier, or null if the value isn't a plausible one
+   */
+  static normalize(name, value) {
+    if (typeof value !== 'string') return null;
+
+    if (name === 'gtin') {
+      const digits = value.replace(/[\s-]/g, '');
+      return /^\d+$/.test(digits) && ProductIdentifierExtractor.isValidGtin(digits) ? digits : null;
+    }
+
+    const identifier = value.trim();
+    return /^[a-z0-9][a-z0-9._/-]{0,39}$/i.test(identifier) && /\d/.test(identifier) ? identifier : null;
+  }
+
+  /**
+   * Checks a GTIN-8, -12 (UPC), -13 (EAN, ISBN-13) or -14's length and check digit.
+   * @param {string} digits - The GTIN, digits only
+   * @returns {boolean} True if it is valid
+   */
+  static isValidGtin(digits) {
+    if (![8, 12, 13, 14].includes(digits.length) || /^0+$/.test(digits)) return false;
+
+    // Weights alternate 3, 1, 3, ... from the digit left of the check digit.
+    const padded = digits.padStart(14, '0');
+    let sum = 0;
+    for (let i = 0; i < 13; i++) {
+      sum += Number(padded[i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10 === Number(padded[13]);
+  }
+
+  /**
+   * Builds the patterns readLabels() matches element text against. Each captures the value
+   * when it follows the label in the same element.
+   * @returns {Object<string, RegExp>} A pattern for each identifier
+   */
+  static getLabelPatterns() {
+    if (!ProductIdentifierExtractor.labelPatterns) {
+      ProductIdentifierExtractor.labelPatterns = {};
+      for (const [name, labels] of Object.entries(ProductIdentifierExtractor.LABELS)) {
+        ProductIdentifierExtractor.labelPatterns[name] = new RegExp(`^(?:${labels})(?![a-z])\\s*[:#.]?\\s*(.*)$`, 'i');
+      }
+    }
+    return ProductIdentifierExtractor.labelPatterns;
+  }
+}
+
+/**
+ * The labels each identifier is shown under, as regular expression alternatives.
+ * @type {Object<string, string>}
+ */
+ProductIdentifierExtractor.LABELS = {
+  gtin: 'gtin(?:-?(?:8|12|13|14))?|upc(?:-?a)?|ean(?:-?13)?|isbn(?:-?13)?|barcode',
+  mpn: 'mpn|(?:manufacturer|mfr\\.?|mfg\\.?)\\s*part\\s*(?:number|no\\.?|#)?|part\\s*(?:number|no\\.?|#)',
+  sku: 'sku|item\\s*(?:number|no\\.?|#)|product\\s*(?:code|id)|article\\s*(?:number|no\\.?)',
+  model: '(?:item\\s*)?model(?:\\s*(?:number|no\\.?|#))?|style\\s*(?:number|no\\.?|#|code)?'
+};
+
+/**
+ * Elements that may hold a label, or a label and its value.
+ * @type {string}
+ */
+ProductIdentifierExtractor.LABEL_SELECTOR = 'dt, th, td, li, p, span, b, strong, label';
+
+/**
+ * Containers whose labels are never the product's.
+ * @type {string}
+ */
+ProductIdentifierExtractor.IGNORED_CONTAINER_SELECTOR = 'header, footer, nav, aside';
+
+/**
+ * The longest element text read as a label and value, so paragraphs of prose are skipped.
+ * @type {number}
+ */
+ProductIdentifierExtractor.MAX_LABEL_LENGTH = 80;
+
+/**
+ * The compiled patterns, see getLabelPatterns().
+ * @type {Object<string, RegExp>|null}
+ */
+ProductIdentifierExtractor.labelPatterns = null;
+
+// Export the extractor class for use in main.js
+if (typeof window !== 'undefined') {
+  window.ProductIdentifierExtractor = ProductIdentifierExtractor;
+}
@@ -0,0 +1,229 @@
+/**
+ * @file src/content/query-composer.js
+ * @description Composes the ChaChing search query for a detected product.
+ *
+ * Page titles make poor queries: they carry the store's name ("| Amazon.com", "at Target"),
+ * marketing noise ("Free Shipping", "(Renewed)") and, on marketplaces, a comma-separated
+ * list of features. The composer builds the query from:
+ * 1. The brand, once, at the front
+ * 2. The model name: the title's first clause, without the brand, store names or noise
+ * 3. Up to two key attributes from the rest of the title, such as "256GB" or "Black"
+ * 4. The model number or MPN (see ProductIdentifierExtractor), if the name doesn't include it
+ *
+ * ```javascript
+ * new SearchQueryComposer({ storeNames: ['Amazon.com'] }).compose({
+ *   brand: 'Sony',
+ *   title: 'Amazon.com: Sony WH-1000XM5 Wireless Noise Canceling Headphones, 30 Hour Battery, Black',
+ *   identifiers: { mpn: 'WH1000XM5/B' }
+ * });
+ * // "Sony WH-1000XM5 Wireless Noise Canceling Headphones Black"
+ * ```
+ *
+ * @version 1.0.0
+ */
+class SearchQueryComposer {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.storeNames=[]] - The store's names and domains ("Best Buy",
+   *   "bestbuy.com"); title segments naming the store are dropped
+   */
+  constructor({ storeNames = [] } = {}) {
+    /**
+     * The store's names, normalized with SearchQueryComposer.normalize()
+     * @type {string[]}
+     */
+    this.storeNames = storeNames.filter(Boolean).map(name => SearchQueryComposer.normalize(name));
+  }
+
+  /**
+   * Composes the search query for a product.
+   *
+   * @param {Object} product
+   * @param {string} [product.brand] - The detected brand
+   * @param {string} [product.title] - The product's name or page title
+   * @param {Object} [product.identifiers] - Identifiers from ProductIdentifierExtractor
+   * @returns {string} The query, cleaned by ChachingUtils.buildSearchQuery(), or an empty
+   *   string if there is nothing to search for
+   */
+  compose({ brand, title, identifiers } = {}) {
+    const [firstClause = '', ...otherClauses] = this.cleanTitle(title || '').split(/\s*[,;]\s+/);
+
+    // The model name is the first clause without the brand, which goes in front once.
+    let nameWords = firstClause.split(' ').filter(Boolean);
+    if (brand) {
+      const brandWords = SearchQueryComposer.normalize(brand);
+      nameWords = nameWords.filter(word => SearchQueryComposer.normalize(word) !== brandWords);
+      nameWords = SearchQueryComposer.removePhrase(nameWords, brand);
+    }
+
+    const overflow = nameWords.slice(SearchQueryComposer.MAX_NAME_WORDS).join(' ');
+    const name = nameWords.slice(0, SearchQueryComposer.MAX_NAME_WORDS).join(' ');
+    const parts = [brand, name];
+
+    // Key attributes are looked for in the words and clauses the name left out.
+    for (const attribute of this.findAttributes([overflow, ...otherClauses].join(', '))) {
+      if (!SearchQueryComposer.includesTerm(parts.join(' '), attribute)) parts.push(attribute);
+    }
+
+    // Variant suffixes such as the "/B" (colour) in "WH1000XM5/B" are left off.
+    const code = (identifiers?.model || identifiers?.mpn || '').replace(/\/[a-z0-9]{1,2}$/i, '');
+    if (code && !SearchQueryComposer.includesTerm(parts.join(' '), code)) parts.push(code);
+
+    const query = parts.filter(Boolean).join(' ').trim();
+    return query ? ChachingUtils.buildSearchQuery(query) : '';
+  }
+
+  /**
+   * Removes the store's name and marketing noise from a title.
+   * @param {string} title - The title, e.g. "Buy Sony WH-1000XM5 | Free Delivery | Currys"
+   * @returns {string} The cleaned title, e.g. "Sony WH-1000XM5"
+   */
+  cleanTitle(title) {
+    const segments = title
+      .replace(/\s+/g, ' ')
+      .split(SearchQueryComposer.SEGMENT_SEPARATOR)
+      .map(segment => this.cleanSegment(segment))
+      .filter(segment => segment && !this.isStoreSegment(segment));
+
+    return segments.length > 0 ? segments.join(' ') : title.trim();
+  }
+
+  /**
+   * Removes noise from one title segment: "Buy", "Free Shipping", "(Renewed)", a trailing
+   * "at Best Buy".
+   * @param {string} segment - The segment
+   * @returns {string} What is left of it
+   */
+  cleanSegment(segment) {
+    let cleaned = segment
+      .replace(/^(?:buy|shop|order)\s+/i, '')
+      .replace(SearchQueryComposer.NOISE_PATTERN, ' ')
+      // Bracketed asides that were all noise are left empty; long ones are descriptions.
+      .replace(/[([]([^)\]]*)[)\]]/g, (aside, content) =>
+        !content.trim() || content.trim().split(' ').length > SearchQueryComposer.MAX_ASIDE_WORDS ? ' ' : aside);
+
+    const atStore = cleaned.match(/^(.*?)\s+(?:at|from|on)\s+(.+)$/i);
+    if (atStore && this.isStoreSegment(atStore[2])) {
+      cleaned = atStore[1];
+    }
+
+    return cleaned.replace(/\s+/g, ' ').replace(/^[\s\-:|]+|[\s\-:|]+$/g, '');
+  }
+
+  /**
+   * Checks whether a title segment just names the store: one of its names, or any domain.
+   * @param {string} segment - The segment, e.g. "Amazon.com"
+   * @returns {boolean} True if the segment names a store
+   */
+  isStoreSegment(segment) {
+    return this.storeNames.includes(SearchQueryComposer.normalize(segment)) ||
+      /^(?:www\.)?[a-z0-9-]+(?:\.[a-z]{2,})+$/i.test(segment.trim());
+  }
+
+  /**
+   * Finds key attributes (capacities, sizes, pack counts, colours) in part of a title.
+   * @param {string} text - The text
+   * @returns {string[]} Up to SearchQueryComposer.MAX_ATTRIBUTES attributes, in title order
+   */
+  findAttributes(text) {
+    const matches = [];
+    for (const pattern of SearchQueryComposer.ATTRIBUTE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        matches.push({ index: match.index, value: match[0].trim() });
+      }
+    }
+
+    return matches
+      .sort((a, b) => a.index - b.index)
+      .map(match => match.value)
+      .filter((value, i, values) => values.findIndex(other => other.toLowerCase() === value.toLowerCase()) === i)
+      .slice(0, SearchQueryComposer.MAX_ATTRIBUTES);
+  }
+
+  /**
+   * Normalizes text for comparison: lowercase letters and digits only.
+   * @param {string} text - The text, e.g. "Amazon.com"
+   * @returns {string} The normalized text, e.g. "amazoncom"
+   */
+  static normalize(text) {
+    return String(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Checks whether a query already contains a term, ignoring case and punctuation.
+   * @param {string} query - The query so far
+   * @param {string} term - The term, e.g. "WH-1000XM5"
+   * @returns {boolean} True if the query contains it
+   */
+  static includesTerm(query, term) {
+    return SearchQueryComposer.normalize(query).includes(SearchQueryComposer.normalize(term));
+  }
+
+  /**
+   * Removes a multi-word phrase, such as the brand "The North Face", from a list of words.
+   * @param {string[]} words - The words
+   * @param {string} phrase - The phrase
+   * @returns {string[]} The words without the phrase
+   */
+  static removePhrase(words, phrase) {
+    const phraseWords = phrase.split(/\s+/).map(word => SearchQueryComposer.normalize(word));
+    if (phraseWords.length < 2) return words;
+
+    const normalized = words.map(word => SearchQueryComposer.normalize(word));
+    for (let i = 0; i + phraseWords.length <= words.length; i++) {
+      if (phraseWords.every((word, j) => normalized[i + j] === word)) {
+        return [...words.slice(0, i), ...words.slice(i + phraseWords.length)];
+      }
+    }
+    return words;
+  }
+}
+
+/**
+ * Separators between a page title's segments: "Product | Store", "Store: Product",
+ * "Product - Store", "Product. Store.com".
+ * @type {RegExp}
+ */
+SearchQueryComposer.SEGMENT_SEPARATOR = /\s+[|–—•·-]\s+|\s*\|\s*|\s+:\s+|(?<=\.[a-z]{2,}):\s+|\.\s+(?=[a-z0-9-]+(?:\.[a-z]{2,})+$)/i;
+
+/**
+ * Marketing phrases that say nothing about the product.
+ * @type {RegExp}
+ */
+SearchQueryComposer.NOISE_PATTERN = new RegExp(`\\b(?:${[
+  'brand new', 'new!', 'free shipping', 'free delivery', 'fast shipping', 'best ?seller', 'top rated',
+  'hot sale', 'on sale', 'sale!', 'limited time(?: offer)?', 'clearance', 'deal of the day',
+  'in stock', 'official(?: store| site)?', 'authentic', 'genuine', 'renewed', 'refurbished'
+].join('|')})(?!\\w)`, 'gi');
+
+/**
+ * Patterns for key attributes worth keeping in a query.
+ * @type {RegExp[]}
+ */
+SearchQueryComposer.ATTRIBUTE_PATTERNS = [
+  /\b\d+(?:\.\d+)?\s?(?:TB|GB|MB|mAh|W|V|Hz|oz|fl oz|ml|L|lbs?|kg|g|in|inch|mm|cm|ft|pack|pk|count|ct)\b/gi,
+  /\b(?:rose gold|space gr[ae]y|black|white|silver|gr[ae]y|graphite|blue|navy|red|green|pink|gold|purple|yellow|orange|brown|beige|midnight)\b/gi
+];
+
+/**
+ * The most words kept from the title's first clause.
+ * @type {number}
+ */
+SearchQueryComposer.MAX_NAME_WORDS = 8;
+
+/**
+ * The most attributes added to a query.
+ * @type {number}
+ */
+SearchQueryComposer.MAX_ATTRIBUTES = 2;
+
+/**
+ * Bracketed asides longer than this many words are dropped as descriptions.
+ * @type {number}
+ */
+SearchQueryComposer.MAX_ASIDE_WORDS = 4;
+
+// Export the composer class for use in main.js
+if (typeof window !== 'undefined') {
+  window.SearchQueryComposer = SearchQueryComposer;
+}
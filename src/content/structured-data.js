@@ -0,0 +1,401 @@
+/**
+ * @file src/content/structured-data.js
+ * @description Reads the product a page describes in its structured data.
+ *
+ * Product pages describe their product for search engines in up to three syntaxes: JSON-LD
+ * scripts, microdata (`itemscope` / `itemprop`) and RDFa (`typeof` / `property`). The
+ * reader parses all three once per detection into one normalized product model, which the
+ * PDP detector, the price extractor and the brand detector all read.
+ *
+ * - Every JSON-LD script is read, including top-level arrays, `@graph`, `mainEntity` and
+ *   `@id` references between nodes.
+ * - `@type` may be a name, a URL or an array (`["Product", "Thing"]`).
+ * - A ProductGroup's brand and offers fall back to its variants' (`hasVariant`), and a
+ *   variant's brand and name to its group's (`isVariantOf`).
+ * - `offers` may be an Offer, an array of them, or an AggregateOffer with `lowPrice` /
+ *   `highPrice` or offers of its own. List prices come from `priceSpecification`.
+ *
+ * When several syntaxes describe the product, JSON-LD wins and the others fill in what it
+ * leaves out.
+ *
+ * ```javascript
+ * new StructuredDataReader().read();
+ * // { found: true, type: "Product", source: "json-ld", name: "Air Max 90", brand: "Nike",
+ * //   identifiers: { gtin: "00195866123456", mpn: "CN8490-001", sku: "NK-123", model: null },
+ * //   offers: [{ amount: 129.99, highAmount: null, currency: "USD", original: 150,
+ * //              availability: "InStock", source: "json-ld" }],
+ * //   variantCount: 0 }
+ * ```
+ *
+ * @version 1.0.0
+ */
+class StructuredDataReader {
+  constructor() {
+    /**
+     * JSON-LD nodes by `@id`, for resolving references such as `"offers": {"@id": "#offer"}`
+     * @type {Map<string, Object>}
+     */
+    this.nodesById = new Map();
+  }
+
+  /**
+   * Reads the page's product.
+   *
+   * @returns {Object} The product model:
+   *   - found {boolean} Whether the page describes a product
+   *   - type {string|null} Its schema.org type, e.g. "Product" or "ProductGroup"
+   *   - source {string|null} The syntax it was read from: "json-ld", "microdata" or "rdfa"
+   *   - name {string|null} The product name
+   *   - brand {string|null} The brand name
+   *   - identifiers {Object} The product's `gtin` (from `gtin`, `gtin13`, ...), `mpn`, `sku` and
+   *     `model`, as written on the page, or null each. Offers may carry them too. They are
+   *     not validated; see ProductIdentifierExtractor
+   *   - offers {Object[]} Each offer's `amount` (the lowest price, for an AggregateOffer),
+   *     `highAmount`, ISO 4217 `currency`, `original` list price, `availability` (e.g.
+   *     "InStock") and the `source` syntax. Anything the page leaves out is null.
+   *   - variantCount {number} How many variants a ProductGroup lists
+   */
+  read() {
+    const readers = [
+      ['json-ld', () => this.readJsonLdNodes()],
+      ['microdata', () => this.readItems('microdata')],
+      ['rdfa', () => this.readItems('rdfa')]
+    ];
+
+    const products = [];
+    for (const [source, read] of readers) {
+      try {
+        const node = StructuredDataReader.findProductNode(read());
+        if (node) products.push(this.normalizeProduct(node, source));
+      } catch (error) {
+        ChachingUtils.log('warn', 'StructuredData', `Failed to read ${source}.`, error);
+      }
+    }
+
+    if (products.length === 0) {
+      return {
+        found: false,
+        type: null,
+        source: null,
+        name: null,
+        brand: null,
+        identifiers: { gtin: null, mpn: null, sku: null, model: null },
+        offers: [],
+        variantCount: 0
+      };
+    }
+
+    const [product, ...others] = products;
+    for (const other of others) {
+      product.name = product.name || other.name;
+      product.brand = product.brand || other.brand;
+      for (const [name, value] of Object.entries(other.identifiers)) {
+        product.identifiers[name] = product.identifiers[name] || value;
+      }
+      if (product.offers.length === 0) product.offers = other.offers;
+    }
+    return product;
+  }
+
+  /**
+   * Parses every JSON-LD script on the page. Scripts that aren't valid JSON are skipped.
+   * @returns {Object[]} Every node, with arrays, `@graph` and `mainEntity` flattened
+   */
+  readJsonLdNodes() {
+    const nodes = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      // Some sites wrap the JSON in an HTML comment or CDATA, or leave raw line breaks in strings.
+      const text = script.textContent
+        .replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)/, '')
+        .replace(/(-->|\/\/\s*\]\]>)\s*$/, '')
+        .replace(/[\r\n\t]+/g, ' ');
+
+      try {
+        nodes.push(...StructuredDataReader.flattenJsonLd(JSON.parse(text)));
+      } catch (e) {
+        // Invalid JSON; the other scripts may still describe the product.
+      }
+    }
+
+    for (const node of nodes) {
+      if (typeof node['@id'] === 'string' && Object.keys(node).length > 1) {
+        this.nodesById.set(node['@id'], node);
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Reads every microdata or RDFa item on the page into JSON-LD-shaped nodes, so they are
+   * normalized like JSON-LD.
+   * @param {string} syntax - "microdata" or "rdfa", see StructuredDataReader.SYNTAXES
+   * @returns {Object[]} The nodes, in document order
+   */
+  readItems(syntax) {
+    const { scope } = StructuredDataReader.SYNTAXES[syntax];
+    return Array.from(document.querySelectorAll(`[${scope}]`), element => this.readItem(element, syntax));
+  }
+
+  /**
+   * Reads one microdata or RDFa item and the items nested in it.
+   * @param {Element} element - The element carrying `itemscope` or `typeof`
+   * @param {string} syntax - "microdata" or "rdfa"
+   * @param {number} [depth=0] - How deeply the item is nested, to bound the recursion
+   * @returns {Object} The item as a node, e.g. `{ "@type": ["Product"], name: "...", offers: {...} }`
+   */
+  readItem(element, syntax, depth = 0) {
+    const { scope, types, property } = StructuredDataReader.SYNTAXES[syntax];
+    const node = { '@type': (element.getAttribute(types) || '').split(/\s+/).filter(Boolean) };
+
+    for (const child of element.querySelectorAll(`[${property}]`)) {
+      // A property belongs to the closest item around it; a nested item is its parent's property.
+      const isItem = child.hasAttribute(scope);
+      const owner = (isItem ? child.parentElement : child)?.closest(`[${scope}]`);
+      if (owner !== element || (isItem && depth >= StructuredDataReader.MAX_ITEM_DEPTH)) continue;
+
+      const value = isItem ? this.readItem(child, syntax, depth + 1) : StructuredDataReader.readPropertyValue(child);
+      if (value === '') continue;
+
+      for (const name of child.getAttribute(property).split(/\s+/)) {
+        // RDFa names may be prefixed ("schema:price") or full URLs.
+        const key = name.replace(/^.*[:/#]/, '');
+        if (!key) continue;
+        node[key] = key in node ? [].concat(node[key], value) : value;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Builds the product model from a Product or ProductGroup node.
+   * @param {Object} node - The node
+   * @param {string} source - The syntax it came from
+   * @returns {Object} The product model, see read()
+   */
+  normalizeProduct(node, source) {
+    const group = this.list(node.isVariantOf).find(candidate => StructuredDataReader.hasType(candidate, 'ProductGroup'));
+    const variants = this.list(node.hasVariant);
+
+    let offers = this.list(node.offers);
+    if (offers.length === 0) {
+      offers = variants.flatMap(variant => this.list(variant.offers));
+    }
+
+    const brand = this.readText(node.brand) ||
+      (group && this.readText(group.brand)) ||
+      variants.map(variant => this.readText(variant.brand)).find(Boolean) ||
+      null;
+
+    return {
+      found: true,
+      type: StructuredDataReader.PRODUCT_TYPES.find(type => StructuredDataReader.hasType(node, type)),
+      source,
+      name: this.readText(node.name) || (group && this.readText(group.name)) || null,
+      brand,
+      // A ProductGroup's variants each have their own identifiers, so they aren't borrowed.
+      identifiers: this.readIdentifiers([node, ...this.list(node.offers)]),
+      offers: offers.flatMap(offer => this.normalizeOffer(offer, source)),
+      variantCount: variants.length
+    };
+  }
+
+  /**
+   * Reads a product's identifiers, from the first node that has each one.
+   * @param {Object[]} nodes - The product node, then its offers
+   * @returns {{gtin: string|null, mpn: string|null, sku: string|null, model: string|null}} The identifiers
+   */
+  readIdentifiers(nodes) {
+    const find = (...names) => {
+      for (const node of nodes) {
+        const value = names.map(name => this.readText(node[name])).find(Boolean);
+        if (value) return value;
+      }
+      return null;
+    };
+
+    return {
+      gtin: find('gtin', 'gtin13', 'gtin12', 'gtin14', 'gtin8'),
+      mpn: find('mpn'),
+      sku: find('sku'),
+      model: find('model')
+    };
+  }
+
+  /**
+   * Normalizes one Offer or AggregateOffer. An AggregateOffer without a price of its own
+   * is replaced by the offers it lists.
+   * @param {Object} offer - The offer node
+   * @param {string} source - The syntax it came from
+   * @returns {Object[]} The offers, see read()
+   */
+  normalizeOffer(offer, source) {
+    const rawPrice = this.readText(offer.price ?? offer.lowPrice);
+    let amount = PriceExtractor.parseAmount(rawPrice, true);
+    let currency = this.readText(offer.priceCurrency);
+    let original = null;
+
+    for (const spec of this.list(offer.priceSpecification)) {
+      const specAmount = PriceExtractor.parseAmount(this.readText(spec.price), true);
+      if (specAmount === null) continue;
+
+      if (/ListPrice|StrikethroughPrice|MSRP/i.test(this.readText(spec.priceType) || '')) {
+        original = specAmount;
+      } else if (amount === null) {
+        amount = specAmount;
+        currency = currency || this.readText(spec.priceCurrency);
+      }
+    }
+
+    if (amount === null) {
+      const nested = this.list(offer.offers).flatMap(candidate => this.normalizeOffer(candidate, source));
+      if (nested.length > 0) return nested;
+    }
+
+    // Microdata prices are sometimes only the visible text, e.g. "$1,299.00".
+    if (!currency && rawPrice) {
+      currency = PriceExtractor.parsePriceText(rawPrice)?.currency || null;
+    }
+
+    return [{
+      amount,
+      highAmount: PriceExtractor.parseAmount(this.readText(offer.highPrice), true),
+      currency: PriceExtractor.normalizeCurrency(currency),
+      original,
+      availability: this.readText(offer.availability)?.replace(/^.*[:/#]/, '') || null,
+      source
+    }];
+  }
+
+  /**
+   * Lists the nodes in a property value, which may be one node, an array or an `@id` reference.
+   * @param {*} value - The value
+   * @returns {Object[]} The nodes
+   */
+  list(value) {
+    return [].concat(value ?? [])
+      .map(item => this.resolve(item))
+      .filter(item => item && typeof item === 'object' && !Array.isArray(item));
+  }
+
+  /**
+   * Follows an `@id` reference to the node it names, if the page defines it.
+   * @param {*} value - A property value
+   * @returns {*} The node, or the value itself
+   */
+  resolve(value) {
+    if (value && typeof value === 'object' && typeof value['@id'] === 'string' && Object.keys(value).length === 1) {
+      return this.nodesById.get(value['@id']) || value;
+    }
+    return value;
+  }
+
+  /**
+   * Reads a property as text: the first of several values, or a node's `name`.
+   * @param {*} value - A property value, e.g. "Nike", `{"@type": "Brand", "name": "Nike"}` or `["Nike"]`
+   * @returns {string|null} The text, or null if there is none
+   */
+  readText(value) {
+    const resolved = this.resolve(value);
+    if (typeof resolved === 'number') return String(resolved);
+    if (typeof resolved === 'string') return resolved.trim() || null;
+    if (Array.isArray(resolved)) {
+      return resolved.map(item => this.readText(item)).find(Boolean) || null;
+    }
+    if (resolved && typeof resolved === 'object') {
+      return this.readText(resolved.name ?? resolved['@value'] ?? null);
+    }
+    return null;
+  }
+
+  /**
+   * Picks the page's main product: a ProductGroup, else the first Product with offers, else
+   * the first Product.
+   * @param {Object[]} nodes - Nodes from one syntax
+   * @returns {Object|null} The product node
+   */
+  static findProductNode(nodes) {
+    const products = nodes.filter(node =>
+      StructuredDataReader.PRODUCT_TYPES.some(type => StructuredDataReader.hasType(node, type))
+    );
+    return products.find(node => StructuredDataReader.hasType(node, 'ProductGroup')) ||
+      products.find(node => node.offers) ||
+      products[0] ||
+      null;
+  }
+
+  /**
+   * Reads the value of a microdata or RDFa property that isn't an item itself.
+   * @param {Element} element - The element carrying `itemprop` or `property`
+   * @returns {string} The value
+   */
+  static readPropertyValue(element) {
+    if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+    if (element.hasAttribute('resource')) return element.getAttribute('resource').trim();
+
+    switch (element.tagName) {
+      case 'LINK':
+        return element.getAttribute('href') || '';
+      case 'IMG':
+        return element.getAttribute('src') || '';
+      case 'DATA':
+      case 'METER':
+        return element.getAttribute('value') || '';
+      default:
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  /**
+   * Lists the nodes in a parsed JSON-LD value: arrays, `@graph` and `mainEntity` are flattened.
+   * @param {*} data - A parsed JSON-LD value
+   * @returns {Object[]} The nodes
+   */
+  static flattenJsonLd(data) {
+    if (!data || typeof data !== 'object') return [];
+    if (Array.isArray(data)) return data.flatMap(item => StructuredDataReader.flattenJsonLd(item));
+    return [
+      data,
+      ...StructuredDataReader.flattenJsonLd(data['@graph']),
+      ...StructuredDataReader.flattenJsonLd(data.mainEntity)
+    ];
+  }
+
+  /**
+   * Checks a node's `@type`, which may be a name, a URL ("https://schema.org/Product"), a
+   * prefixed name ("schema:Product") or an array of them.
+   * @param {Object} node - The node
+   * @param {string} type - The type, e.g. "Product"
+   * @returns {boolean} True if the node has the type
+   */
+  static hasType(node, type) {
+    const types = [].concat(node['@type'] || []);
+    return types.some(value => String(value).replace(/^.*[:/#]/, '') === type);
+  }
+}
+
+/**
+ * The schema.org types that describe a product page's product.
+ * @type {string[]}
+ */
+StructuredDataReader.PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'];
+
+/**
+ * The attributes each HTML syntax marks items, their types and their properties with.
+ * @type {Object<string, {scope: string, types: string, property: string}>}
+ */
+StructuredDataReader.SYNTAXES = {
+  microdata: { scope: 'itemscope', types: 'itemtype', property: 'itemprop' },
+  rdfa: { scope: 'typeof', types: 'typeof', property: 'property' }
+};
+
+/**
+ * How deeply nested microdata and RDFa items are read.
+ * @type {number}
+ */
+StructuredDataReader.MAX_ITEM_DEPTH = 4;
+
+// Export the reader class for use in the detectors
+if (typeof window !== 'undefined') {
+  window.StructuredDataReader = StructuredDataReader;
+}
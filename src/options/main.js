@@ -0,0 +1,407 @@
+/**
+ * @file src/options/main.js
+ * @description The logic for the extension's options page.
+ *
+ * This script lets the user edit every preference the extension stores in
+ * `chrome.storage.sync`:
+ * - `enabled` / `autoShow` toggles
+ * - `minConfidence`, the PDP confidence threshold
+ * - `pdpSignalWeights`, overrides for the points each PDP signal is worth
+ * - `dismissalMinutes`, how long a dismissed notification stays hidden
+ * - `region`, the ChaChing site links open on ("auto" follows the browser locale)
+ * - `notificationMode`, how notifications are shown ("auto" lets the content script pick)
+ * - `blacklistedDomains`, the per-site blocklist
+ *
+ * Every change is saved immediately. Content scripts read the same keys in
+ * `ChachingContentScript.loadPreferences()`.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Human-readable names for the PDP signals whose weights can be tuned.
+ * Keys match `PdpDetector.DEFAULT_WEIGHTS`.
+ * @const {Object<string, string>}
+ */
+const SIGNAL_LABELS = {
+  hasStructuredData: 'Structured product data with an offer',
+  hasPrice: 'Price',
+  hasProductImage: 'Product images',
+  hasProductUrl: 'Product URL pattern',
+  hasReviews: 'Customer reviews',
+  hasDescription: 'Product description',
+  hasMetadata: 'Product metadata (SKU, availability, ...)',
+  hasSelectors: 'Size/color selectors',
+  hasBreadcrumb: 'Breadcrumb navigation',
+  hasShippingInfo: 'Shipping information'
+};
+
+/**
+ * Options page controller class
+ * @class OptionsController
+ */
+class OptionsController {
+  constructor() {
+    /**
+     * UI Elements
+     * @type {Object}
+     */
+    this.elements = {
+      enabledToggle: document.getElementById('enabled-toggle'),
+      autoShowToggle: document.getElementById('auto-show-toggle'),
+      minConfidenceInput: document.getElementById('min-confidence-input'),
+      minConfidenceValue: document.getElementById('min-confidence-value'),
+      dismissalMinutesInput: document.getElementById('dismissal-minutes-input'),
+      regionSelect: document.getElementById('region-select'),
+      notificationModeSelect: document.getElementById('notification-mode-select'),
+      signalWeights: document.getElementById('signal-weights'),
+      resetWeightsBtn: document.getElementById('reset-weights-btn'),
+      blocklistForm: document.getElementById('blocklist-form'),
+      blocklistInput: document.getElementById('blocklist-input'),
+      blocklistError: document.getElementById('blocklist-error'),
+      blocklist: document.getElementById('blocklist'),
+      blocklistEmpty: document.getElementById('blocklist-empty'),
+      saveStatus: document.getElementById('save-status')
+    };
+
+    /**
+     * The preferences currently shown on the page
+     * @type {Object}
+     */
+    this.preferences = { ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES };
+
+    /**
+     * Timer used to clear the "Saved" status message
+     * @type {number|null}
+     */
+    this.statusTimeoutId = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    try {
+      await this.loadPreferences();
+      this.render();
+      this.setupEventListeners();
+    } catch (error) {
+      console.error('[Options] Initialization error:', error);
+      this.showStatus('Failed to load settings', true);
+    }
+  }
+
+  /**
+   * Load user preferences from storage
+   */
+  async loadPreferences() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(ChachingUtils.CONFIG.DEFAULT_PREFERENCES, (items) => {
+        this.preferences = { ...this.preferences, ...items };
+        console.log('[Options] Preferences loaded:', this.preferences);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Update every control to reflect the current preferences
+   */
+  render() {
+    this.elements.enabledToggle.checked = this.preferences.enabled;
+    this.elements.autoShowToggle.checked = this.preferences.autoShow;
+    this.elements.minConfidenceInput.value = this.preferences.minConfidence;
+    this.elements.minConfidenceValue.textContent = this.preferences.minConfidence;
+    this.elements.dismissalMinutesInput.value = this.preferences.dismissalMinutes;
+    this.elements.notificationModeSelect.value = this.preferences.notificationMode;
+    // Values this version doesn't know leave the select empty; show "Automatic" instead.
+    if (!this.elements.notificationModeSelect.value) {
+      this.elements.notificationModeSelect.value = 'auto';
+    }
+    this.renderRegions();
+    this.renderSignalWeights();
+    this.renderBlocklist();
+  }
+
+  /**
+   * Fill the region select with "Automatic" plus every region in `ChachingUtils.CONFIG.REGIONS`
+   */
+  renderRegions() {
+    const { REGIONS } = ChachingUtils.CONFIG;
+    const automatic = REGIONS[ChachingUtils.resolveRegion('auto')].name;
+
+    this.elements.regionSelect.innerHTML = '';
+    this.elements.regionSelect.appendChild(new Option(`Automatic (${automatic})`, 'auto'));
+    for (const [region, { name }] of Object.entries(REGIONS)) {
+      this.elements.regionSelect.appendChild(new Option(name, region));
+    }
+
+    this.elements.regionSelect.value = REGIONS[this.preferences.region] ? this.preferences.region : 'auto';
+  }
+
+  /**
+   * Render one number input per PDP signal, showing the user's override or the default
+   */
+  renderSignalWeights() {
+    const overrides = this.preferences.pdpSignalWeights || {};
+    this.elements.signalWeights.innerHTML = '';
+
+    for (const [signal, defaultWeight] of Object.entries(PdpDetector.DEFAULT_WEIGHTS)) {
+      const inputId = `weight-${signal}`;
+
+      const label = document.createElement('label');
+      label.htmlFor = inputId;
+      label.textContent = SIGNAL_LABELS[signal] || signal;
+
+      const input = document.createElement('input');
+      input.id = inputId;
+      input.type = 'number';
+      input.min = '0';
+      input.max = '100';
+      input.step = '5';
+      input.className = 'text-input number-input';
+      input.value = signal in overrides ? overrides[signal] : defaultWeight;
+      input.dataset.signal = signal;
+
+      this.elements.signalWeights.append(label, input);
+    }
+  }
+
+  /**
+   * Render the list of blocked sites
+   */
+  renderBlocklist() {
+    const domains = this.preferences.blacklistedDomains;
+    this.elements.blocklist.innerHTML = '';
+
+    for (const domain of domains) {
+      const li = document.createElement('li');
+      li.className = 'blocklist-item';
+
+      const label = document.createElement('span');
+      label.textContent = domain;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn btn-text';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Unblock ${domain}`);
+      removeBtn.addEventListener('click', () => this.removeBlockedDomain(domain));
+
+      li.append(label, removeBtn);
+      this.elements.blocklist.appendChild(li);
+    }
+
+    this.elements.blocklistEmpty.classList.toggle('hidden', domains.length > 0);
+  }
+
+  /**
+   * Set up event listeners for UI elements
+   */
+  setupEventListeners() {
+    this.elements.enabledToggle.addEventListener('change', (e) => {
+      this.savePreference('enabled', e.target.checked);
+    });
+
+    this.elements.autoShowToggle.addEventListener('change', (e) => {
+      this.savePreference('autoShow', e.target.checked);
+    });
+
+    // Update the label while dragging, but only save once the user lets go
+    this.elements.minConfidenceInput.addEventListener('input', (e) => {
+      this.elements.minConfidenceValue.textContent = e.target.value;
+    });
+
+    this.elements.minConfidenceInput.addEventListener('change', (e) => {
+      this.savePreference('minConfidence', parseInt(e.target.value, 10));
+    });
+
+    this.elements.dismissalMinutesInput.addEventListener('change', (e) => {
+      const minutes = this.clampNumber(e.target.value, 0, 10080);
+      if (minutes === null) {
+        e.target.value = this.preferences.dismissalMinutes;
+        return;
+      }
+
+      e.target.value = minutes;
+      this.savePreference('dismissalMinutes', minutes);
+    });
+
+    this.elements.regionSelect.addEventListener('change', (e) => {
+      this.savePreference('region', e.target.value);
+    });
+
+    this.elements.notificationModeSelect.addEventListener('change', (e) => {
+      this.savePreference('notificationMode', e.target.value);
+    });
+
+    this.elements.signalWeights.addEventListener('change', (e) => {
+      const signal = e.target.dataset.signal;
+      if (!signal) return;
+
+      const weight = this.clampNumber(e.target.value, 0, 100);
+      this.updateSignalWeight(signal, weight);
+      e.target.value = weight === null ? PdpDetector.DEFAULT_WEIGHTS[signal] : weight;
+    });
+
+    this.elements.resetWeightsBtn.addEventListener('click', () => {
+      this.savePreference('pdpSignalWeights', {});
+      this.renderSignalWeights();
+    });
+
+    this.elements.blocklistForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addBlockedDomain(this.elements.blocklistInput.value);
+    });
+  }
+
+  /**
+   * Save the weight for one PDP signal. Only weights that differ from the default are
+   * stored, so future changes to the defaults still reach users who never touched them.
+   * @param {string} signal - Signal name, e.g. "hasPrice"
+   * @param {number|null} weight - New weight, or null to restore the default
+   */
+  updateSignalWeight(signal, weight) {
+    const overrides = { ...this.preferences.pdpSignalWeights };
+
+    if (weight === null || weight === PdpDetector.DEFAULT_WEIGHTS[signal]) {
+      delete overrides[signal];
+    } else {
+      overrides[signal] = weight;
+    }
+
+    this.savePreference('pdpSignalWeights', overrides);
+  }
+
+  /**
+   * Add a site to the blocklist
+   * @param {string} input - Domain or URL typed by the user
+   */
+  addBlockedDomain(input) {
+    const domain = this.normalizeDomainInput(input);
+
+    if (!domain) {
+      this.showBlocklistError('Enter a domain such as example.com or a rule such as example.com/shop');
+      return;
+    }
+
+    if (this.preferences.blacklistedDomains.includes(domain)) {
+      this.showBlocklistError(`${domain} is already blocked`);
+      return;
+    }
+
+    this.hideBlocklistError();
+    this.elements.blocklistInput.value = '';
+    this.savePreference('blacklistedDomains', [...this.preferences.blacklistedDomains, domain]);
+    this.renderBlocklist();
+  }
+
+  /**
+   * Remove a site from the blocklist
+   * @param {string} domain - The blocked domain to remove
+   */
+  removeBlockedDomain(domain) {
+    const domains = this.preferences.blacklistedDomains.filter(entry => entry !== domain);
+    this.savePreference('blacklistedDomains', domains);
+    this.renderBlocklist();
+  }
+
+  /**
+   * Turn user input into a blocklist rule (see src/shared/domain-matcher.js). Full URLs
+   * ("https://www.Example.com/shoes") block their whole site ("example.com"); anything
+   * else is taken as a rule, such as "example.com/shoes" or "*.example.com".
+   * @param {string} input - Domain, rule or URL typed by the user
+   * @returns {string} The normalized rule, or an empty string if the input is not valid
+   */
+  normalizeDomainInput(input) {
+    if (!input || typeof input !== 'string') return '';
+
+    // parseRule() lowercases the host; paths keep their case.
+    let value = input.trim();
+    if (!value) return '';
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+      try {
+        value = new URL(value).hostname;
+      } catch (error) {
+        return '';
+      }
+    }
+
+    const rule = DomainMatcher.parseRule(value.replace(/^www\./i, ''));
+    return rule ? rule.text : '';
+  }
+
+  /**
+   * Parse a number and clamp it to a range
+   * @param {string|number} value - Raw input value
+   * @param {number} min - Minimum allowed value
+   * @param {number} max - Maximum allowed value
+   * @returns {number|null} The clamped integer, or null if the value is not a number
+   */
+  clampNumber(value, min, max) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) return null;
+    return Math.min(Math.max(number, min), max);
+  }
+
+  /**
+   * Save a single preference to storage
+   * @param {string} key - Preference key
+   * @param {*} value - Preference value
+   */
+  savePreference(key, value) {
+    this.preferences[key] = value;
+
+    chrome.storage.sync.set({ [key]: value }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[Options] Failed to save preference:', chrome.runtime.lastError);
+        this.showStatus('Could not save settings', true);
+        return;
+      }
+
+      console.log(`[Options] Updated preference: ${key} =`, value);
+      this.showStatus('Saved');
+    });
+  }
+
+  /**
+   * Show a validation error under the blocklist input
+   * @param {string} message - Error message
+   */
+  showBlocklistError(message) {
+    this.elements.blocklistError.textContent = message;
+    this.elements.blocklistError.classList.remove('hidden');
+    this.elements.blocklistInput.focus();
+  }
+
+  /**
+   * Hide the blocklist validation error
+   */
+  hideBlocklistError() {
+    this.elements.blocklistError.textContent = '';
+    this.elements.blocklistError.classList.add('hidden');
+  }
+
+  /**
+   * Show a short-lived status message in the footer
+   * @param {string} message - Status message
+   * @param {boolean} [isError=false] - Whether to style the message as an error
+   */
+  showStatus(message, isError = false) {
+    this.elements.saveStatus.textContent = message;
+    this.elements.saveStatus.classList.toggle('save-status-error', isError);
+
+    clearTimeout(this.statusTimeoutId);
+    this.statusTimeoutId = setTimeout(() => {
+      this.elements.saveStatus.textContent = '';
+    }, 2000);
+  }
+}
+
+// Initialize the options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -48,8 +48,12 @@ class PopupController {
       
       // Product info elements
       productTitle: document.getElementById('product-title'),
+      productIdentifiers: document.getElementById('product-identifiers'),
       productPrice: document.getElementById('product-price'),
+      productCashback: document.getElementById('product-cashback'),
       confidenceBadge: document.getElementById('confidence-badge'),
+      searchQueryEditor: document.getElementById('search-query-editor'),
+      searchQueryInput: document.getElementById('search-query-input'),
       signalList: document.getElementById('signal-list'),
       
       // Buttons
@@ -87,6 +91,9 @@ class PopupController {
    */
   async init() {
     try {
+      // Fill in the UI strings for the browser's language
+      ChachingUtils.localizePage();
+
       // Load preferences
       await this.loadPreferences();
       
@@ -102,7 +109,7 @@ class PopupController {
       
     } catch (error) {
       console.error('[Popup] Initialization error:', error);
-      this.showError('Failed to initialize extension');
+      this.showError(ChachingUtils.getMessage('popupInitError'));
     }
   }
 
@@ -111,12 +118,7 @@ class PopupController {
    */
   async loadPreferences() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get({
-        enabled: true,
-        autoShow: true,
-        minConfidence: 50,
-        blacklistedDomains: []
-      }, (items) => {
+      chrome.storage.sync.get(ChachingUtils.CONFIG.DEFAULT_PREFERENCES, (items) => {
         this.state.preferences = items;
         
         // Update UI toggles
@@ -138,6 +140,12 @@ class PopupController {
       this.searchOnChaching();
     });
 
+    this.elements.searchQueryInput?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.searchOnChaching();
+      }
+    });
+
     // Copy title button
     this.elements.copyTitleBtn?.addEventListener('click', () => {
       this.copyProductTitle();
@@ -202,7 +210,7 @@ class PopupController {
       
       // Content script might not be injected (e.g., chrome:// pages)
       if (error.message?.includes('Could not establish connection')) {
-        this.showNoProductState('Extension cannot run on this page');
+        this.showNoProductState(ChachingUtils.getMessage('popupCannotRun'));
       } else {
         this.showNoProductState();
       }
@@ -219,7 +227,7 @@ class PopupController {
    * Otherwise shows the "no product" state.
    */
   displayDetectionResult() {
-    const { productInfo, confidence, signals, isSupported, isSpecialMerchant } = this.state.detectionResult;
+    const { productInfo, confidence, threshold, signals, isSupported, isSpecialMerchant } = this.state.detectionResult;
 
     // Hide loading state
     this.hideAllStates();
@@ -234,24 +242,129 @@ class PopupController {
 
       // Update product info
       this.elements.productTitle.textContent = productInfo.title;
+      this.displayIdentifiers(productInfo.identifiers);
+
+      // The composed query can be edited before searching; merchants open their store instead.
+      this.elements.searchQueryEditor.style.display = isSpecialMerchant ? 'none' : 'block';
+      this.elements.searchQueryInput.value = productInfo.searchQuery || productInfo.title;
       
       if (productInfo.price) {
-        this.elements.productPrice.textContent = productInfo.price;
+        this.renderPrice(productInfo.price);
         this.elements.productPrice.style.display = 'inline-block';
       } else {
         this.elements.productPrice.style.display = 'none';
       }
 
-      this.elements.confidenceBadge.textContent = `${confidence}% confidence`;
+      if (productInfo.cashback) {
+        this.elements.productCashback.textContent = ChachingUtils.getMessage('popupCashbackTag', String(productInfo.cashback));
+        this.elements.productCashback.style.display = 'inline-block';
+      } else {
+        this.elements.productCashback.style.display = 'none';
+      }
+
+      this.displayConfidence(confidence, threshold);
 
       // Display detection signals
       this.displaySignals(signals);
     } else {
-      // No product detected
-      this.showNoProductState();
+      // No product detected - explain why if the PDP check rejected the page
+      this.showNoProductState(this.describeRejection(this.state.detectionResult));
+    }
+  }
+
+  /**
+   * Display the product's price, with the list price struck through when it is on sale
+   * @param {{amount: number, currency: string|null, original: number|null}} price - Price from PriceExtractor
+   */
+  renderPrice(price) {
+    this.elements.productPrice.textContent = this.formatPrice(price.amount, price.currency);
+
+    if (price.original) {
+      const original = document.createElement('s');
+      original.className = 'original-price';
+      original.textContent = this.formatPrice(price.original, price.currency);
+      this.elements.productPrice.append(' ', original);
+    }
+  }
+
+  /**
+   * Display the product's identifiers under its title, e.g. "GTIN 194252707210 · Model A2849"
+   * @param {Object|null} identifiers - Identifiers from ProductIdentifierExtractor
+   */
+  displayIdentifiers(identifiers) {
+    // Message names for each identifier, e.g. "popupIdentifierGtin" for `gtin`
+    const messages = {
+      gtin: 'popupIdentifierGtin',
+      mpn: 'popupIdentifierMpn',
+      model: 'popupIdentifierModel',
+      sku: 'popupIdentifierSku'
+    };
+
+    const parts = Object.entries(messages)
+      .filter(([name]) => identifiers?.[name])
+      .map(([name, message]) => ChachingUtils.getMessage(message, identifiers[name]));
+
+    this.elements.productIdentifiers.textContent = parts.join(' · ');
+    this.elements.productIdentifiers.style.display = parts.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Format an amount in the browser's language
+   * @param {number} amount - The amount
+   * @param {string|null} currency - ISO 4217 currency code, or null if the page didn't say
+   * @returns {string} The formatted amount, e.g. "$1,299.00" or "1 299,00 €". Without the
+   *   currency if its code isn't one Intl accepts
+   */
+  formatPrice(amount, currency) {
+    const locale = chrome.i18n.getUILanguage();
+    const plainOptions = { minimumFractionDigits: Number.isInteger(amount) ? 0 : 2 };
+    if (!currency) {
+      return new Intl.NumberFormat(locale, plainOptions).format(amount);
+    }
+
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      console.warn('[Popup] Invalid currency code, showing the amount without it:', currency);
+      return new Intl.NumberFormat(locale, plainOptions).format(amount);
     }
   }
 
+  /**
+   * Display the PDP confidence score against the threshold it needed to reach
+   * @param {number} [confidence] - PDP confidence score
+   * @param {number} [threshold] - Score required to be considered a PDP
+   */
+  displayConfidence(confidence, threshold) {
+    if (typeof confidence !== 'number') {
+      this.elements.confidenceBadge.style.display = 'none';
+      return;
+    }
+
+    this.elements.confidenceBadge.textContent = ChachingUtils.getMessage('popupScoreBadge', [String(confidence), String(threshold)]);
+    this.elements.confidenceBadge.title = ChachingUtils.getMessage('popupScoreBadgeTitle', String(threshold));
+    this.elements.confidenceBadge.style.display = 'inline-block';
+  }
+
+  /**
+   * Build a short explanation of why a page was not treated as a product page
+   * @param {Object} result - Detection result from the content script
+   * @returns {string|undefined} Explanation, or undefined to keep the default message
+   */
+  describeRejection(result) {
+    if (!result || result.isProductPage) return undefined;
+
+    if (result.reason === 'no_action_buttons') {
+      return ChachingUtils.getMessage('popupRejectNoActions');
+    }
+
+    if (result.reason === 'below_threshold') {
+      return ChachingUtils.getMessage('popupRejectBelowThreshold', [String(result.confidence), String(result.threshold)]);
+    }
+
+    return undefined;
+  }
+
   /**
    * Display detection signals
    * @param {Object} signals - Detection signals
@@ -259,26 +372,51 @@ class PopupController {
   displaySignals(signals) {
     this.elements.signalList.innerHTML = '';
 
-    const signalDescriptions = {
-      hasPrice: 'Price information found',
-      hasActionButton: 'Shopping actions detected',
-      hasProductImage: 'Product images found',
-      hasMetadata: 'Product metadata detected',
-      hasReviews: 'Customer reviews found',
-      hasStructuredData: 'Structured data present',
-      hasBreadcrumb: 'Breadcrumb navigation found',
-      hasProductUrl: 'Product URL pattern matched'
+    if (!signals) return;
+
+    // Message names for each signal, e.g. "popupSignalHasPrice" for `hasPrice`
+    const signalMessages = {
+      hasPrice: 'popupSignalHasPrice',
+      hasActionButton: 'popupSignalHasActionButton',
+      hasProductImage: 'popupSignalHasProductImage',
+      hasMetadata: 'popupSignalHasMetadata',
+      hasReviews: 'popupSignalHasReviews',
+      hasStructuredData: 'popupSignalHasStructuredData',
+      hasBreadcrumb: 'popupSignalHasBreadcrumb',
+      hasProductUrl: 'popupSignalHasProductUrl',
+      hasDescription: 'popupSignalHasDescription',
+      hasSelectors: 'popupSignalHasSelectors',
+      hasShippingInfo: 'popupSignalHasShippingInfo'
     };
 
     for (const [signal, value] of Object.entries(signals)) {
-      if (value && signalDescriptions[signal]) {
+      if (value && signalMessages[signal]) {
         const li = document.createElement('li');
-        li.textContent = signalDescriptions[signal];
+        li.textContent = ChachingUtils.getMessage(signalMessages[signal]);
         this.elements.signalList.appendChild(li);
       }
     }
   }
 
+  /**
+   * Build the search link for the detected product from the query in the editor. The
+   * product's identifiers are only sent while the composed query is unchanged, since an
+   * edited query may be looking for something else.
+   * @returns {string} The search link
+   */
+  buildProductSearchLink() {
+    const { productInfo } = this.state.detectionResult;
+    const composedQuery = productInfo.searchQuery || productInfo.title;
+    const query = this.elements.searchQueryInput.value.trim() || composedQuery;
+
+    return ChachingUtils.buildSearchLink(query, {
+      brandSlug: productInfo.brandSlug,
+      identifiers: query === composedQuery ? productInfo.identifiers : null,
+      region: this.getRegion(),
+      source: 'popup'
+    });
+  }
+
   /**
    * Search on Chaching
    */
@@ -294,7 +432,14 @@ class PopupController {
       return;
     }
 
-    const searchUrl = this.generateChachingUrl(this.state.detectionResult.productInfo.title);
+    // Special merchants go straight to their activation link.
+    const searchUrl = this.state.detectionResult.isSpecialMerchant
+      ? ChachingUtils.buildMerchantLink(this.state.detectionResult.merchant, {
+        productUrl: this.state.detectionResult.isProductPage ? this.state.currentTab.url : undefined,
+        region: this.getRegion(),
+        source: 'popup'
+      })
+      : this.buildProductSearchLink();
     
     // Open in new tab
     chrome.tabs.create({ url: searchUrl });
@@ -323,12 +468,12 @@ class PopupController {
       await navigator.clipboard.writeText(this.state.detectionResult.productInfo.title);
       
       // Show feedback
-      const originalText = this.elements.copyTitleBtn.innerHTML;
-      this.elements.copyTitleBtn.innerHTML = '✓ Copied!';
+      const originalText = this.elements.copyTitleBtn.textContent;
+      this.elements.copyTitleBtn.textContent = ChachingUtils.getMessage('popupCopied');
       this.elements.copyTitleBtn.classList.add('btn-success');
       
       setTimeout(() => {
-        this.elements.copyTitleBtn.innerHTML = originalText;
+        this.elements.copyTitleBtn.textContent = originalText;
         this.elements.copyTitleBtn.classList.remove('btn-success');
       }, 2000);
     } catch (error) {
@@ -376,7 +521,7 @@ class PopupController {
       return;
     }
 
-    const searchUrl = this.generateChachingUrl(query);
+    const searchUrl = ChachingUtils.buildSearchLink(query, { region: this.getRegion(), source: 'popup' });
     
     // Open in new tab
     chrome.tabs.create({ url: searchUrl });
@@ -394,22 +539,6 @@ class PopupController {
     window.close();
   }
 
-  /**
-   * Generate Chaching URL
-   * @param {string} query - Search query
-   * @returns {string} Chaching search URL
-   */
-  generateChachingUrl(query) {
-    const sanitized = query
-      .replace(/[^\w\s\-\.']/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .replace(/\s/g, '+');
-    
-    // Don't encode - let browser handle it to preserve + signs
-    return `https://chaching.me/us/search?query=${sanitized}`;
-  }
-
   /**
    * Show no product state
    * @param {string} [message] - Optional custom message
@@ -453,6 +582,14 @@ class PopupController {
     });
   }
 
+  /**
+   * The ChaChing region links open on, from the `region` preference or the browser locale
+   * @returns {string} A key of `ChachingUtils.CONFIG.REGIONS`
+   */
+  getRegion() {
+    return ChachingUtils.resolveRegion(this.state.preferences.region);
+  }
+
   /**
    * Open settings page
    */
@@ -471,7 +608,7 @@ class PopupController {
     const h2 = this.elements.noProductState.querySelector('h2');
     const p = this.elements.noProductState.querySelector('p');
     
-    if (h2) h2.textContent = 'Error';
+    if (h2) h2.textContent = ChachingUtils.getMessage('popupErrorTitle');
     if (p) p.textContent = message;
   }
 }
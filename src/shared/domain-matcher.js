@@ -0,0 +1,144 @@
+/**
+ * @file src/shared/domain-matcher.js
+ * @description Matches pages against site rules, for the exclusion list and the user's blocklist.
+ *
+ * Rule syntax (case-insensitive):
+ * - `example.com`          The host and all of its subdomains
+ * - `*.example.com`        Subdomains only, not example.com itself
+ * - `=shop.example.com`    That exact host only
+ * - `example.com/checkout` Any of the above followed by a path: only pages whose path
+ *                          starts with it
+ * - `example`              A bare name: any site whose registrable domain is named
+ *                          "example" (example.com, example.co.uk, ...)
+ * - `!rule`                An allow-list override: pages matching it are never matched,
+ *                          even if another rule matches them
+ *
+ * Host rules never reach beyond the page's registrable domain (see public-suffix.js),
+ * so a rule such as `co.uk` doesn't match every British site, and label boundaries are
+ * respected, so `x.com` doesn't match `box.com`.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Matches pages against a list of site rules
+ * @class DomainMatcher
+ */
+class DomainMatcher {
+  /**
+   * @param {string[]} [rules=[]] - Rules in the syntax above. Invalid rules are ignored.
+   */
+  constructor(rules = []) {
+    /**
+     * Parsed rules that match pages
+     * @type {Object[]}
+     */
+    this.matchRules = [];
+
+    /**
+     * Parsed `!` rules that override the match rules
+     * @type {Object[]}
+     */
+    this.allowRules = [];
+
+    for (const text of rules) {
+      const rule = DomainMatcher.parseRule(text);
+      if (!rule) continue;
+      (rule.allow ? this.allowRules : this.matchRules).push(rule);
+    }
+  }
+
+  /**
+   * Parses one rule
+   * @param {string} text - The rule, e.g. "*.example.com/shop"
+   * @returns {Object|null} The parsed rule (`text`, `allow`, `type`, `domain`, `path`), or null if invalid.
+   *   `type` is "domain", "subdomains", "exact" or "label"; `text` is the normalized rule.
+   */
+  static parseRule(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    // Hosts are case-insensitive but paths aren't, so only the host is lowercased below.
+    let value = text.trim();
+    const allow = value.startsWith('!');
+    if (allow) value = value.slice(1);
+
+    let type = 'domain';
+    if (value.startsWith('=')) {
+      type = 'exact';
+      value = value.slice(1);
+    } else if (value.startsWith('*.')) {
+      type = 'subdomains';
+      value = value.slice(2);
+    }
+
+    const slashIndex = value.indexOf('/');
+    const domain = (slashIndex === -1 ? value : value.slice(0, slashIndex)).toLowerCase().replace(/\.$/, '');
+    const path = slashIndex === -1 ? '' : value.slice(slashIndex);
+
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) return null;
+    if (type === 'domain' && !domain.includes('.')) type = 'label';
+
+    const prefix = { domain: '', subdomains: '*.', exact: '=', label: '' }[type];
+    return {
+      text: `${allow ? '!' : ''}${prefix}${domain}${path}`,
+      allow,
+      type,
+      domain,
+      path
+    };
+  }
+
+  /**
+   * Checks whether one parsed rule matches a page
+   * @param {Object} rule - A rule from parseRule()
+   * @param {{hostname: string, registrableDomain: string|null, brandLabel: string|null, pathname: string}} site - The page
+   * @returns {boolean} True if the rule matches
+   */
+  static ruleMatches(rule, site) {
+    if (rule.path && !site.pathname.startsWith(rule.path)) return false;
+
+    const hostname = site.hostname.toLowerCase().replace(/\.$/, '');
+    const registrableDomain = site.registrableDomain;
+
+    // Host rules can't reach above the registrable domain, e.g. "co.uk" or "*.com".
+    const withinSite = !registrableDomain ||
+      rule.domain === registrableDomain ||
+      rule.domain.endsWith(`.${registrableDomain}`);
+
+    switch (rule.type) {
+      case 'label':
+        // Single-label hosts such as "localhost" have no registrable domain.
+        return hostname === rule.domain || site.brandLabel === rule.domain;
+      case 'exact':
+        return hostname === rule.domain;
+      case 'subdomains':
+        return withinSite && hostname.endsWith(`.${rule.domain}`);
+      default:
+        return withinSite && (hostname === rule.domain || hostname.endsWith(`.${rule.domain}`));
+    }
+  }
+
+  /**
+   * Finds the rule matching a page, unless an allow-list override matches it too
+   * @param {{hostname: string, registrableDomain: string|null, brandLabel: string|null, pathname: string}} site - The page.
+   *   `registrableDomain` and `brandLabel` come from the background script's Public Suffix List.
+   * @returns {string|null} The matching rule's text, or null if no rule matches
+   */
+  match(site) {
+    if (!site?.hostname) return null;
+
+    const rule = this.matchRules.find(candidate => DomainMatcher.ruleMatches(candidate, site));
+    if (!rule) return null;
+
+    if (this.allowRules.some(candidate => DomainMatcher.ruleMatches(candidate, site))) {
+      return null;
+    }
+
+    return rule.text;
+  }
+}
+
+// Export the matcher class for use in other scripts
+if (typeof self !== 'undefined') {
+  self.DomainMatcher = DomainMatcher;
+}
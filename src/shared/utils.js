@@ -5,10 +5,13 @@
  * for text processing, URL generation, data validation, and brand normalization.
  * 
  * Key functions include:
- * - sanitizeProductTitle: Cleans product titles for URL parameters
+ * - buildSearchQuery: Cleans product titles and selections into search queries
  * - generateChachingUrl: Creates ChaChing search URLs
+ * - buildSearchLink / buildMerchantLink: Build the links the extension opens, with
+ *   UTM/source parameters (used by the notification, the popup and the context menu)
+ * - resolveRegion: Picks the user's ChaChing region from their setting or browser locale
+ * - getMessage / localizePage: UI strings from the `_locales` message bundles
  * - normalizeBrand: Normalizes brand names for comparison
- * - extractDomain: Extracts domain names from URLs
  * - log: Consistent logging with timestamps
  * 
  * @module utils
@@ -21,64 +24,303 @@
  * @const {Object} CONFIG
  */
 const CONFIG = {
-  CHACHING_BASE_URL: 'https://chaching.me/us/search',
+  // ChaChing's regional sites. Links open on the region picked by resolveRegion().
+  REGIONS: {
+    us: { name: 'United States', baseUrl: 'https://chaching.me/us' },
+    ca: { name: 'Canada', baseUrl: 'https://chaching.me/ca' },
+    uk: { name: 'United Kingdom', baseUrl: 'https://chaching.me/uk' },
+    au: { name: 'Australia', baseUrl: 'https://chaching.me/au' }
+  },
+  // The region for each browser locale country (the "GB" in "en-GB")
+  COUNTRY_REGIONS: {
+    US: 'us',
+    CA: 'ca',
+    GB: 'uk',
+    AU: 'au'
+  },
+  // The region used when neither the user's setting nor the browser locale picks one
+  DEFAULT_REGION: 'us',
+  // Longest search query sent to ChaChing, in characters
+  MAX_QUERY_LENGTH: 100,
+  // Link templates for special merchants that don't set their own in merchants.json,
+  // relative to the region's base URL. `{merchantId}` and `{url}` (the product page) are
+  // filled in by buildMerchantLink().
+  MERCHANT_ACTIVATION_URL: 'store/{merchantId}',
+  MERCHANT_AFFILIATE_URL: 'store/{merchantId}/go?url={url}',
+  // Added to every chaching.me link the extension opens; `utm_content` names the
+  // surface the link was opened from ("notification", "popup" or "context-menu").
+  LINK_TRACKING_PARAMS: {
+    utm_source: 'chrome-extension',
+    utm_medium: 'extension'
+  },
   NOTIFICATION_DURATION: 5000,
   DEBOUNCE_DELAY: 300,
   MAX_TITLE_LENGTH: 200,
-  MIN_TITLE_LENGTH: 3
+  MIN_TITLE_LENGTH: 3,
+  // Cashback percentage used for brands that don't set their own in BrandList.csv
+  DEFAULT_CASHBACK: 33,
+  // Defaults for every preference stored in chrome.storage.sync.
+  // Used as the `get()` defaults by the content script and the options page.
+  DEFAULT_PREFERENCES: {
+    enabled: true,
+    autoShow: true,
+    minConfidence: 75,
+    pdpSignalWeights: {},
+    blacklistedDomains: [],
+    dismissalMinutes: 15,
+    // A key of REGIONS, or "auto" to follow the browser locale
+    region: 'auto',
+    // How notifications are shown: "card", "badge", "tab", or "auto" to let the
+    // content script pick for each notification
+    notificationMode: 'auto'
+  }
 };
 
 /**
- * Sanitizes a product title for use in URL parameters
- * Removes special characters, extra spaces, and converts spaces to plus signs
- * 
- * @param {string} title - The raw product title to sanitize
- * @returns {string} The sanitized title suitable for URL parameters
- * 
+ * Picks the ChaChing region to send the user to: their `region` preference if it names
+ * a region, otherwise the country of the browser locale, otherwise CONFIG.DEFAULT_REGION.
+ *
+ * @param {string} [preference] - The `region` preference, e.g. "auto" or "ca"
+ * @param {string} [locale=navigator.language] - A BCP 47 locale, e.g. "en-GB"
+ * @returns {string} A key of CONFIG.REGIONS
+ *
  * @example
- * sanitizeProductTitle("Apple iPhone 14 Pro - 128GB") 
- * // Returns: "Apple+iPhone+14+Pro+128GB"
+ * resolveRegion("auto", "fr-CA")
+ * // Returns: "ca"
  */
-function sanitizeProductTitle(title) {
-  if (!title || typeof title !== 'string') {
-    console.warn('[Utils] Invalid title provided to sanitizeProductTitle:', title);
+function resolveRegion(preference, locale = navigator.language) {
+  if (preference && CONFIG.REGIONS[preference]) {
+    return preference;
+  }
+
+  // The country is the first two-letter subtag after the language, as in "en-GB" or "zh-Hant-AU".
+  const country = (locale || '').split(/[-_]/).slice(1).find(subtag => /^[a-z]{2}$/i.test(subtag));
+  return CONFIG.COUNTRY_REGIONS[country?.toUpperCase()] || CONFIG.DEFAULT_REGION;
+}
+
+/**
+ * Returns the base URL of a ChaChing region
+ *
+ * @param {string} [region] - A key of CONFIG.REGIONS; unknown regions get CONFIG.DEFAULT_REGION's
+ * @returns {string} The base URL, e.g. "https://chaching.me/us"
+ */
+function getRegionBaseUrl(region) {
+  return (CONFIG.REGIONS[region] || CONFIG.REGIONS[CONFIG.DEFAULT_REGION]).baseUrl;
+}
+
+/**
+ * Looks up a UI string in the `_locales` message bundles for the browser's language,
+ * falling back to English (the manifest's `default_locale`).
+ *
+ * @param {string} name - The message name, e.g. "notificationBrandAction"
+ * @param {string|string[]} [substitutions] - Values for the message's placeholders
+ * @returns {string} The message, or `name` if there is no such message
+ */
+function getMessage(name, substitutions) {
+  const message = chrome.i18n.getMessage(name, substitutions);
+  if (!message) {
+    console.warn('[Utils] Missing i18n message:', name);
+    return name;
+  }
+  return message;
+}
+
+/**
+ * Fills in the UI strings of a page from the message bundles. Elements name their
+ * message in `data-i18n` (text), `data-i18n-placeholder` or `data-i18n-alt`.
+ *
+ * @param {ParentNode} [root=document] - The element or document to localize
+ */
+function localizePage(root = document) {
+  for (const element of root.querySelectorAll('[data-i18n]')) {
+    element.textContent = getMessage(element.dataset.i18n);
+  }
+  for (const element of root.querySelectorAll('[data-i18n-placeholder]')) {
+    element.placeholder = getMessage(element.dataset.i18nPlaceholder);
+  }
+  for (const element of root.querySelectorAll('[data-i18n-alt]')) {
+    element.alt = getMessage(element.dataset.i18nAlt);
+  }
+}
+
+/**
+ * Cleans a product title, brand or text selection into a search query.
+ * Letters and digits in any script are kept, so "Café" and Japanese product names
+ * survive; HTML tags and punctuation other than apostrophes, hyphens and dots are
+ * dropped, and the result is cut to `maxLength` characters, at a word break if there
+ * is one in the second half. The query is not URL-encoded; see generateChachingUrl().
+ *
+ * @param {string} text - The raw text
+ * @param {number} [maxLength=CONFIG.MAX_QUERY_LENGTH] - The longest query to return
+ * @returns {string} The query, or an empty string if nothing searchable is left
+ *
+ * @example
+ * buildSearchQuery("Apple iPhone 14 Pro - 128GB (Café Edition)")
+ * // Returns: "Apple iPhone 14 Pro - 128GB Café Edition"
+ */
+function buildSearchQuery(text, maxLength = CONFIG.MAX_QUERY_LENGTH) {
+  if (!text || typeof text !== 'string') {
+    console.warn('[Utils] Invalid text provided to buildSearchQuery:', text);
     return '';
   }
 
-  return title
+  const query = text
+    // Compose accents, so "é" is one character rather than "e" plus a combining mark
+    .normalize('NFC')
     // Remove HTML tags if any
-    .replace(/<[^>]*>/g, '')
+    .replace(/<[^>]*>/g, ' ')
     // Keep apostrophes for product names like '07, but remove other special chars
-    .replace(/[^\w\s\-\.']/g, ' ')
-    // Replace multiple spaces with single space
+    .replace(/[^\p{L}\p{M}\p{N}\s\-.'’]/gu, ' ')
+    // Replace runs of whitespace with a single space
     .replace(/\s+/g, ' ')
-    // Trim whitespace from ends
-    .trim()
-    // Replace spaces with plus signs
-    .replace(/\s/g, '+');
+    .trim();
+
+  // Count code points rather than UTF-16 units, so characters outside the Basic
+  // Multilingual Plane are never cut in half.
+  const characters = Array.from(query);
+  if (characters.length <= maxLength) {
+    return query;
+  }
+
+  const truncated = characters.slice(0, maxLength).join('');
+  const lastSpace = truncated.lastIndexOf(' ');
+  return (lastSpace > truncated.length / 2 ? truncated.slice(0, lastSpace) : truncated).trim();
 }
 
 /**
  * Generates a Chaching search URL for a given product title
  * 
  * @param {string} productTitle - The product title to search for
+ * @param {Object} [options] - Optional search context
+ * @param {string} [options.brandSlug] - The detected brand's deep-link slug from BrandList.csv,
+ *   passed as `brand=` so ChaChing can scope the results to that brand
+ * @param {string} [options.region=CONFIG.DEFAULT_REGION] - The region, a key of CONFIG.REGIONS
+ * @param {Object} [options.identifiers] - The product's identifiers (see ProductIdentifierExtractor).
+ *   Its `gtin`, `mpn` and `model` are passed along so ChaChing can match the exact product;
+ *   the store's `sku` means nothing elsewhere and is left out.
  * @returns {string} The complete Chaching search URL
  * 
  * @example
- * generateChachingUrl("Nike Air Max 90")
- * // Returns: "https://chaching.me/us/search?query=Nike+Air+Max+90"
+ * generateChachingUrl("Nike Air Max 90", { brandSlug: "nike" })
+ * // Returns: "https://chaching.me/us/search?query=Nike+Air+Max+90&brand=nike"
+ * generateChachingUrl("Sony WH-1000XM5", { identifiers: { gtin: "027242923782", mpn: null } })
+ * // Returns: "https://chaching.me/us/search?query=Sony+WH-1000XM5&gtin=027242923782"
+ * generateChachingUrl("Café Bustelo", { region: "ca" })
+ * // Returns: "https://chaching.me/ca/search?query=Caf%C3%A9+Bustelo"
  */
-function generateChachingUrl(productTitle) {
-  const sanitizedTitle = sanitizeProductTitle(productTitle);
-  
-  if (!sanitizedTitle) {
+function generateChachingUrl(productTitle, options = {}) {
+  const url = new URL(`${getRegionBaseUrl(options.region)}/search`);
+  const query = buildSearchQuery(productTitle);
+
+  if (!query) {
     console.error('[Utils] Failed to generate URL: Invalid product title');
-    return CONFIG.CHACHING_BASE_URL;
+    return url.href;
   }
 
-  // Don't encode the query - let the browser handle it naturally
-  // This preserves the + signs in the URL
-  return `${CONFIG.CHACHING_BASE_URL}?query=${sanitizedTitle}`;
+  // URLSearchParams encodes everything that needs it and writes spaces as "+".
+  url.searchParams.set('query', query);
+  if (options.brandSlug) {
+    url.searchParams.set('brand', options.brandSlug);
+  }
+  for (const name of ['gtin', 'mpn', 'model']) {
+    if (options.identifiers?.[name]) {
+      url.searchParams.set(name, options.identifiers[name]);
+    }
+  }
+  return url.href;
+}
+
+/**
+ * Fills the `{placeholders}` of a link template, URL-encoding each value.
+ * Placeholders without a value are left as they are.
+ *
+ * @param {string} template - The template, e.g. "https://chaching.me/us/store/{merchantId}"
+ * @param {Object<string, string>} values - The placeholder values
+ * @returns {string} The filled-in URL
+ */
+function fillLinkTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] == null ? placeholder : encodeURIComponent(values[name]));
+}
+
+/**
+ * Adds the extension's UTM parameters to a chaching.me link. Links to other sites are
+ * returned unchanged.
+ *
+ * @param {string} url - The link
+ * @param {string} [source] - Where the link was opened from, e.g. "popup"
+ * @returns {string} The link with tracking parameters
+ */
+function addLinkTracking(url, source) {
+  let link;
+  try {
+    link = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  if (link.hostname !== 'chaching.me' && !link.hostname.endsWith('.chaching.me')) {
+    return url;
+  }
+
+  for (const [name, value] of Object.entries(CONFIG.LINK_TRACKING_PARAMS)) {
+    link.searchParams.set(name, value);
+  }
+  if (source) {
+    link.searchParams.set('utm_content', source);
+  }
+  return link.href;
+}
+
+/**
+ * Builds the ChaChing search link for a product, brand or text selection. This is the
+ * one place search links are made; the notification, the popup and the context menu
+ * all go through it.
+ *
+ * @param {string} query - What to search for, as raw text (see buildSearchQuery)
+ * @param {Object} [options]
+ * @param {string} [options.brandSlug] - The brand's deep-link slug (see generateChachingUrl)
+ * @param {Object} [options.identifiers] - The product's identifiers (see generateChachingUrl)
+ * @param {string} [options.region] - The region (see resolveRegion), CONFIG.DEFAULT_REGION by default
+ * @param {string} [options.source] - Where the link is opened from, e.g. "context-menu"
+ * @returns {string} The search link
+ */
+function buildSearchLink(query, options = {}) {
+  const url = generateChachingUrl(query, {
+    brandSlug: options.brandSlug,
+    identifiers: options.identifiers,
+    region: options.region
+  });
+  return addLinkTracking(url, options.source);
+}
+
+/**
+ * Builds the link that activates cashback at a special merchant (see merchants.json).
+ * On a product page it deep-links to that product through the merchant's affiliate
+ * template, so users land back on the page they were looking at; otherwise it opens
+ * the merchant's activation page.
+ *
+ * @param {Object} merchant - The merchant, with `id` and optional `activationUrl` /
+ *   `affiliateUrl` templates (CONFIG.MERCHANT_ACTIVATION_URL / MERCHANT_AFFILIATE_URL by default).
+ *   Relative templates are resolved against the region's base URL.
+ * @param {Object} [options]
+ * @param {string} [options.productUrl] - The product page to deep-link to
+ * @param {string} [options.region] - The region (see resolveRegion), CONFIG.DEFAULT_REGION by default
+ * @param {string} [options.source] - Where the link is opened from, e.g. "notification"
+ * @returns {string} The activation link
+ *
+ * @example
+ * buildMerchantLink({ id: "steals" }, { source: "popup" })
+ * // Returns: "https://chaching.me/us/store/steals?utm_source=chrome-extension&utm_medium=extension&utm_content=popup"
+ */
+function buildMerchantLink(merchant, options = {}) {
+  const values = { merchantId: merchant.id, url: options.productUrl };
+  const template = options.productUrl
+    ? merchant.affiliateUrl || CONFIG.MERCHANT_AFFILIATE_URL
+    : merchant.activationUrl || CONFIG.MERCHANT_ACTIVATION_URL;
+
+  const url = new URL(fillLinkTemplate(template, values), `${getRegionBaseUrl(options.region)}/`);
+  return addLinkTracking(url.href, options.source);
 }
 
 /**
@@ -117,33 +359,6 @@ function debounce(func, delay = CONFIG.DEBOUNCE_DELAY) {
   };
 }
 
-/**
- * Extracts domain name from a URL
- * 
- * @param {string} url - The URL to extract domain from
- * @returns {string} The domain name or empty string if invalid
- * 
- * @example
- * extractDomain("https://www.amazon.com/product/123")
- * // Returns: "amazon"
- */
-function extractDomain(url) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    
-    // Remove www. prefix if present
-    const domain = hostname.replace(/^www\./, '');
-    
-    // Extract the main domain name (e.g., "amazon" from "amazon.com")
-    const parts = domain.split('.');
-    return parts.length > 1 ? parts[parts.length - 2] : parts[0];
-  } catch (error) {
-    console.error('[Utils] Failed to extract domain:', error);
-    return '';
-  }
-}
-
 /**
  * Logs a message with consistent formatting
  * 
@@ -220,16 +435,25 @@ function normalizeBrand(brandName) {
 }
 
 // Export functions for use in other modules
-// Note: In Chrome extensions, we'll use these as global functions
-if (typeof window !== 'undefined') {
-  window.ChachingUtils = {
+// Note: In Chrome extensions, we'll use these as global functions. `self` is the window
+// in pages and content scripts, and the global scope in the background service worker,
+// which loads this file with importScripts().
+if (typeof self !== 'undefined') {
+  self.ChachingUtils = {
     CONFIG,
-    sanitizeProductTitle,
+    resolveRegion,
+    getRegionBaseUrl,
+    getMessage,
+    localizePage,
+    buildSearchQuery,
     generateChachingUrl,
+    fillLinkTemplate,
+    addLinkTracking,
+    buildSearchLink,
+    buildMerchantLink,
     isValidProductTitle,
     debounce,
     throttle,
-    extractDomain,
     log,
     normalizeBrand
   };
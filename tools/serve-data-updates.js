@@ -0,0 +1,105 @@
+/**
+ * @file tools/serve-data-updates.js
+ * @description A local stand-in for the data update endpoint (see src/background/data-updates.js).
+ *
+ * Serves a manifest for the brand list, exclusion list and merchant registry in a
+ * directory (src/assets by default), with SHA-256 checksums computed from the files as
+ * they are on disk, so edits show up as soon as the extension checks again.
+ *
+ * Usage:
+ *   node tools/serve-data-updates.js [--port 8787] [--version 2] [--dir src/assets] [--corrupt]
+ *
+ * `--corrupt` serves the files with one byte flipped, to check that a bad download is
+ * rejected and the current data stays in use.
+ *
+ * Then, from the extension's service worker console:
+ *   chrome.storage.local.set({ dataUpdateUrl: 'http://localhost:8787/manifest.json' })
+ *   chrome.runtime.sendMessage({ type: 'CHECK_DATA_UPDATES' }, console.log)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * The data files served, keyed by their name in the manifest.
+ * @const {Object<string, string>}
+ */
+const FILES = {
+  brands: 'BrandList.csv',
+  excludedDomains: 'excluded-domains.json',
+  merchants: 'merchants.json'
+};
+
+/**
+ * Reads `--name value` and `--flag` options from the command line.
+ * @param {string[]} args - Command-line arguments after the script name
+ * @returns {{port: number, version: number, dir: string, corrupt: boolean}} The options
+ */
+function parseArgs(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+
+  return {
+    port: parseInt(option('port', '8787'), 10),
+    version: parseInt(option('version', '2'), 10),
+    dir: path.resolve(option('dir', path.join(__dirname, '..', 'src', 'assets'))),
+    corrupt: args.includes('--corrupt')
+  };
+}
+
+/**
+ * Reads a data file, flipping its last byte when serving corrupt downloads
+ * @param {string} filePath - Path of the file
+ * @param {boolean} corrupt - Whether to corrupt the contents
+ * @returns {Buffer} The contents to serve
+ */
+function readDataFile(filePath, corrupt) {
+  const contents = fs.readFileSync(filePath);
+  if (corrupt && contents.length > 0) {
+    contents[contents.length - 1] ^= 0xff;
+  }
+  return contents;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${options.port}`);
+  // The extension fetches from its service worker, which is subject to CORS.
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (pathname === '/manifest.json') {
+      const files = {};
+      for (const [name, fileName] of Object.entries(FILES)) {
+        // Checksums always describe the real files, so corrupt downloads fail to verify.
+        const contents = fs.readFileSync(path.join(options.dir, fileName));
+        files[name] = { url: fileName, sha256: crypto.createHash('sha256').update(contents).digest('hex') };
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ version: options.version, files }, null, 2));
+    } else if (Object.values(FILES).includes(pathname.slice(1))) {
+      res.writeHead(200);
+      res.end(readDataFile(path.join(options.dir, pathname.slice(1)), options.corrupt));
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  } catch (error) {
+    res.writeHead(500);
+    res.end(error.message);
+  }
+
+  console.log(`${req.method} ${pathname} -> ${res.statusCode}`);
+});
+
+server.listen(options.port, () => {
+  console.log(`Serving data version ${options.version} from ${options.dir}${options.corrupt ? ' (corrupt)' : ''}`);
+  console.log(`Manifest: http://localhost:${options.port}/manifest.json`);
+});